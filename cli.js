@@ -7,6 +7,25 @@ const { EliosInterpreter, extractType1Functions, extractType2Functions } = requi
 const SyntaxValidator = require('./lib/syntax-validator');
 const Tokenizer = require('./lib/tokenizer');
 const PluginInstaller = require('./lib/plugin-installer');
+const { resolveModule, searchPaths } = require('./lib/module-path');
+const { loadConfig } = require('./lib/config');
+const EliosRepl = require('./lib/repl');
+const DebugConsole = require('./lib/debug-console');
+const DapServer = require('./lib/dap-server');
+const LanguageServer = require('./lib/language-server');
+const EliosTestRunner = require('./lib/test-runner');
+
+// Options followed by a value, so the value is not mistaken for the file to run
+const VALUE_OPTIONS = ['--max-iterations', '--max-depth', '--timeout', '--max-instructions', '--break', '--filter', '--junit'];
+
+// Exit status of `elios <file>`; a program ended by §exit[n] exits with n
+const EXIT_CODES = {
+    SUCCESS: 0,
+    RUNTIME_ERROR: 1, // Uncaught error
+    VALIDATION_ERROR: 2, // Syntax validation failed, nothing was run
+    USAGE_ERROR: 64, // Missing file, invalid option or invalid elios.config.json
+    ABORTED: 124 // --timeout or --max-instructions reached, as with coreutils timeout
+};
 
 class ProgressBar {
     constructor(label, total = 100) {
@@ -63,6 +82,10 @@ function showHelp() {
 
 ${chalk.bold.cyan('Usage:')}
   ${chalk.green('elios')} ${chalk.yellow('<file>')} ${chalk.blue('[options]')}
+  ${chalk.green('elios repl')}       ${chalk.white('Start an interactive session (also: elios -i)')}
+  ${chalk.green('elios debug')} ${chalk.yellow('<file>')} ${chalk.white('Run under the step debugger; stops at §breakpoint[] and --break file:line')}
+  ${chalk.green('elios lsp')}        ${chalk.white('Start the language server on stdin/stdout for editors')}
+  ${chalk.green('elios test')} ${chalk.yellow('[paths]')} ${chalk.white('Run the §test blocks of *.test.elios files (default: this directory)')}
 
 ${chalk.bold.cyan('Options:')}
   ${chalk.green('-d, --debug')}      ${chalk.white('Run in debug mode with detailed information')}
@@ -70,17 +93,38 @@ ${chalk.bold.cyan('Options:')}
   ${chalk.green('-v, --version')}    ${chalk.white('Show version information')}
   ${chalk.green('--plugins')}        ${chalk.white('List all installed plugins and addons')}
   ${chalk.green('--addons')}         ${chalk.white('List all installed plugins and addons')}
-  ${chalk.green('--install')}        ${chalk.white('Install a plugin from registry')}
+  ${chalk.green('-i, --install')}    ${chalk.white('Install a plugin from registry; -i alone starts the REPL')}
   ${chalk.green('--uninstall')}      ${chalk.white('Remove an installed plugin')}
   ${chalk.green('--list-remote')}    ${chalk.white('List available plugins from registry')}
   ${chalk.green('--search')}         ${chalk.white('Search plugins in registry')}
   ${chalk.green('--format')}         ${chalk.white('Format Elios code')}
   ${chalk.green('--lint')}           ${chalk.white('Lint Elios code for issues')}
+  ${chalk.green('--which')}          ${chalk.white('Show where a module passed to §require / §import resolves')}
+  ${chalk.green('--max-iterations')} ${chalk.white('Iteration limit of each §while / §for / §foreach loop')}
+  ${chalk.green('--max-depth')}      ${chalk.white('Function call depth limit (default 1000)')}
+  ${chalk.green('--break')}          ${chalk.white('With elios debug: breakpoint at file:line (repeatable)')}
+  ${chalk.green('--stop-on-entry')}  ${chalk.white('With elios debug: pause before the first statement')}
+  ${chalk.green('--dap')}            ${chalk.white('Serve the Debug Adapter Protocol on stdin/stdout for editors')}
+  ${chalk.green('--filter')}         ${chalk.white('With elios test: only run tests whose name contains this text')}
+  ${chalk.green('--tap')}            ${chalk.white('With elios test: report in TAP format')}
+  ${chalk.green('--junit')}          ${chalk.white('With elios test: also write a JUnit XML report to this file')}
+  ${chalk.green('--verbose')}        ${chalk.white('With elios test: show the §log output of passing tests too')}
+  ${chalk.green('--fatal-limits')}   ${chalk.white('Stop with a LimitError when a limit is reached')}
+  ${chalk.green('--timeout')}        ${chalk.white('Abort after this many milliseconds')}
+  ${chalk.green('--max-instructions')} ${chalk.white('Abort after this many statements')}
   ${chalk.green('--support')}        ${chalk.white('Get Discord support link')}
 
+${chalk.bold.cyan('Exit codes:')}
+  ${chalk.green('0')}    ${chalk.white('Success, or the code passed to §exit[code]')}
+  ${chalk.green('1')}    ${chalk.white('Uncaught runtime error; with elios test, a test failed or no test file was found')}
+  ${chalk.green('2')}    ${chalk.white('Syntax validation failed')}
+  ${chalk.green('64')}   ${chalk.white('Invalid command line or elios.config.json')}
+  ${chalk.green('124')}  ${chalk.white('Timed out or instruction budget exhausted')}
+
 ${chalk.bold.cyan('Examples:')}
   ${chalk.blue('elios program.elios')}
   ${chalk.blue('elios program.elios --debug')}
+  ${chalk.blue('elios program.elios --max-iterations 50000 --fatal-limits')}
   ${chalk.blue('elios --plugins')}
 
 ${chalk.bold.cyan('Quick Start:')}
@@ -384,6 +428,127 @@ function showFileAnalysis(code, debugMode) {
     }
 }
 
+/**
+ * elios --which <module>: print the file a bare module name resolves to, from the current directory
+ * @param {array} args - Command line arguments
+ */
+function showModulePath(args) {
+    const name = args[args.indexOf('--which') + 1];
+    if (!name || name.startsWith('-')) {
+        console.error(chalk.red('❌ Error: No module specified, e.g. elios --which std/strings'));
+        process.exit(EXIT_CODES.USAGE_ERROR);
+    }
+
+    const found = resolveModule(name);
+    if (found) {
+        console.log(found);
+        process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    console.error(chalk.red(`❌ Module not found: ${name}`));
+    console.error(chalk.gray('Searched:'));
+    searchPaths().forEach(dir => console.error(chalk.gray(`  ${dir}`)));
+    process.exit(EXIT_CODES.RUNTIME_ERROR);
+}
+
+/**
+ * Read a positive whole number given after an option, exiting on invalid input
+ * @param {array} args - Command line arguments
+ * @param {string} name - Option name, e.g. --max-depth
+ * @returns {number|undefined} - The value, or undefined when the option is absent
+ */
+function numberOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return undefined;
+    }
+
+    const value = args[index + 1];
+    if (!/^[1-9]\d*$/.test(value || '')) {
+        console.error(chalk.red(`❌ Error: ${name} expects a positive whole number, got: ${value === undefined ? 'nothing' : value}`));
+        process.exit(EXIT_CODES.USAGE_ERROR);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Interpreter limits: command line options first, then elios.config.json, then the defaults
+ * @param {array} args - Command line arguments
+ * @param {string} filePath - Program being run; the config file is looked up from its directory
+ * @returns {Object} - { maxIterations, maxDepth, fatalLimits, timeout, maxInstructions }
+ */
+function resolveLimits(args, filePath) {
+    let limits = {};
+    try {
+        limits = loadConfig(path.dirname(filePath)).config.limits || {};
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(EXIT_CODES.USAGE_ERROR);
+    }
+
+    return {
+        maxIterations: numberOption(args, '--max-iterations') || limits.maxIterations,
+        maxDepth: numberOption(args, '--max-depth') || limits.maxDepth,
+        fatalLimits: args.includes('--fatal-limits') || Boolean(limits.fatal),
+        timeout: numberOption(args, '--timeout') || limits.timeout,
+        maxInstructions: numberOption(args, '--max-instructions') || limits.maxInstructions
+    };
+}
+
+/**
+ * `elios test [paths] [--filter text] [--tap] [--junit file] [--verbose]`; exits 1 when a test
+ * failed or no test file was found
+ * @param {array} args - Command line arguments, starting with 'test'
+ */
+async function runTests(args) {
+    const paths = args.slice(1).filter((arg, index) => !arg.startsWith('-') && !VALUE_OPTIONS.includes(args[index]));
+    const option = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    const runner = new EliosTestRunner({
+        filter: option('--filter'),
+        tap: args.includes('--tap'),
+        junit: option('--junit'),
+        verbose: args.includes('--verbose'),
+        limitsFor: filePath => resolveLimits(args, filePath)
+    });
+
+    let files;
+    try {
+        files = runner.discover(paths);
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(EXIT_CODES.USAGE_ERROR);
+    }
+
+    // A run that tests nothing must not pass for one that tested everything
+    if (files.length === 0) {
+        console.error(chalk.red('❌ Error: No *.test.elios files found'));
+        process.exit(EXIT_CODES.RUNTIME_ERROR);
+    }
+
+    const summary = await runner.run(files);
+    process.exit(summary.failed > 0 ? EXIT_CODES.RUNTIME_ERROR : EXIT_CODES.SUCCESS);
+}
+
+/**
+ * Exit status for a finished run, see EXIT_CODES
+ * @param {EliosInterpreter} interpreter
+ * @param {boolean} success - Result of interpreter.execute()
+ * @returns {number}
+ */
+function exitCodeFor(interpreter, success) {
+    if (success) {
+        return interpreter.exitCode;
+    }
+    if (interpreter.failure === 'aborted') {
+        return EXIT_CODES.ABORTED;
+    }
+    return interpreter.failure === 'validation' ? EXIT_CODES.VALIDATION_ERROR : EXIT_CODES.RUNTIME_ERROR;
+}
+
 function showExecutionResult(success = true, error = null) {
     if (success) {
         console.log(chalk.green(`
@@ -462,6 +627,34 @@ async function main() {
         process.exit(0);
     }
     
+    // `elios -i` without a plugin name starts the REPL; `elios -i <plugin>` still installs
+    const shortInstall = args.indexOf('-i');
+    if (args[0] === 'repl' || (shortInstall !== -1 && (!args[shortInstall + 1] || args[shortInstall + 1].startsWith('-')))) {
+        const repl = new EliosRepl({
+            debug: args.includes('--debug') || args.includes('-d'),
+            limits: resolveLimits(args, path.join(process.cwd(), 'repl'))
+        });
+        process.exit(await repl.start());
+    }
+    
+    if (args[0] === 'test') {
+        await runTests(args);
+    }
+    
+    if (args[0] === 'lsp') {
+        new LanguageServer().start();
+        return;
+    }
+    
+    // Editors start the debug adapter and send the program in the launch request
+    if (args.includes('--dap')) {
+        new DapServer({
+            limitsFor: filePath => resolveLimits(args, filePath),
+            exitCodeFor
+        }).start();
+        return;
+    }
+    
     if (args.includes('--install') || args.includes('-i')) {
         await handlePluginInstall(args);
     }
@@ -478,6 +671,10 @@ async function main() {
         await handleSearchPlugins(args);
     }
     
+    if (args.includes('--which')) {
+        showModulePath(args);
+    }
+    
     if (args.includes('--format')) {
         const fileArg = args.find(arg => !arg.startsWith('-'));
         if (!fileArg) {
@@ -535,15 +732,16 @@ async function main() {
     }
     
     const debugMode = args.includes('--debug') || args.includes('-d');
+    const stepDebug = args[0] === 'debug';
     
-    const fileArg = args.find(arg => !arg.startsWith('-'));
+    const fileArg = args.find((arg, index) => !arg.startsWith('-') && !VALUE_OPTIONS.includes(args[index - 1]) && !(stepDebug && index === 0));
     
     if (!fileArg) {
         console.error(chalk.red(`
 ❌ Error: No file specified
         `));
         showHelp();
-        process.exit(1);
+        process.exit(EXIT_CODES.USAGE_ERROR);
     }
     
     const filePath = path.resolve(fileArg);
@@ -564,7 +762,7 @@ ${chalk.white('File:')} ${filePath}
 ${chalk.blue('Need help? Run:')} ${chalk.green('elios --support')}
         `));
         
-        process.exit(1);
+        process.exit(EXIT_CODES.USAGE_ERROR);
     }
     
     try {
@@ -587,23 +785,39 @@ ${chalk.blue('Need help? Run:')} ${chalk.green('elios --support')}
         
         // Stop execution if syntax is invalid
         if (!validationResult.isValid) {
-            process.exit(1);
+            process.exit(EXIT_CODES.VALIDATION_ERROR);
         }
         
         if (debugMode) {
             showFileAnalysis(code, debugMode);
         }
         
+        if (stepDebug) {
+            const debugConsole = new DebugConsole({
+                breakpoints: args.filter((arg, index) => args[index - 1] === '--break'),
+                stopOnEntry: args.includes('--stop-on-entry'),
+                limits: resolveLimits(args, filePath)
+            });
+            const success = await debugConsole.run(filePath);
+            process.exit(exitCodeFor(debugConsole.interpreter, success));
+        }
+        
         // Step 3: Execute
-        const interpreter = new EliosInterpreter(debugMode);
-        const success = await interpreter.execute(code);
+        const interpreter = new EliosInterpreter(debugMode, resolveLimits(args, filePath));
+        const success = await interpreter.execute(code, path.relative(process.cwd(), filePath) || filePath);
 
-        showExecutionResult(Boolean(success));
+        if (success && interpreter.exitCode !== 0) {
+            console.log(chalk.yellow(`
+⏹  Program exited with code ${interpreter.exitCode}
+        `));
+        } else {
+            showExecutionResult(Boolean(success));
+        }
 
-        if (!success) process.exit(1);
+        process.exit(exitCodeFor(interpreter, success));
     } catch (error) {
         showExecutionResult(false, error.message);
-        process.exit(1);
+        process.exit(EXIT_CODES.RUNTIME_ERROR);
     }
 }
 
@@ -0,0 +1,66 @@
+/**
+ * Project configuration: elios.config.json, found in the program's directory or one of its parents
+ *
+ * {
+ *   "limits": { "maxIterations": 50000, "maxDepth": 2000, "fatal": true, "timeout": 5000, "maxInstructions": 1000000 }
+ * }
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'elios.config.json';
+
+/**
+ * Find the nearest config file
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} - Path of the config file, or null when there is none
+ */
+function findConfig(startDir) {
+    let dir = path.resolve(startDir);
+    while (true) {
+        const candidate = path.join(dir, CONFIG_FILE);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Read the nearest config file
+ * @param {string} startDir - Directory to start from
+ * @returns {Object} - { file, config }; config is {} when no file is found
+ * @throws {Error} - When the file is not valid JSON or a limit is not a positive number
+ */
+function loadConfig(startDir) {
+    const file = findConfig(startDir);
+    if (!file) {
+        return { file: null, config: {} };
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid ${CONFIG_FILE} (${file}): ${error.message}`);
+    }
+
+    const limits = config.limits || {};
+    for (const key of ['maxIterations', 'maxDepth', 'timeout', 'maxInstructions']) {
+        if (limits[key] !== undefined && !(Number.isInteger(limits[key]) && limits[key] > 0)) {
+            throw new Error(`Invalid ${CONFIG_FILE} (${file}): limits.${key} must be a positive whole number`);
+        }
+    }
+
+    return { file, config };
+}
+
+module.exports = {
+    CONFIG_FILE,
+    findConfig,
+    loadConfig
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const EliosInterpreter = require('./interpreter');
+const EliosDebugger = require('./debugger');
+const { isList, isMap, formatValue } = require('./values');
+const { encodeMessage, createMessageReader } = require('./protocol-stream');
+
+const THREAD_ID = 1; // Elios programs run on a single thread
+
+// Debugger stop reasons → DAP 'stopped' reasons
+const STOP_REASONS = { breakpoint: 'breakpoint', step: 'step', pause: 'pause', entry: 'entry' };
+
+/**
+ * Debug Adapter Protocol server: `elios --dap`
+ *
+ * Speaks DAP over stdin/stdout (Content-Length framed JSON) so editors such as
+ * VS Code can launch and debug Elios programs. Program output is sent as
+ * 'output' events, since stdout carries the protocol. stdin carries it too, so
+ * §input raises an IOError instead of reading it.
+ */
+class DapServer {
+    /**
+     * @param {Object} options
+     * @param {Stream} options.input - Where requests come from
+     * @param {Stream} options.output - Where responses and events go
+     * @param {function} options.limitsFor - (filePath) → interpreter options for a launched program
+     * @param {function} options.exitCodeFor - (interpreter, success) → exit code reported when the program ends
+     */
+    constructor(options = {}) {
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.limitsFor = options.limitsFor || (() => ({}));
+        this.exitCodeFor = options.exitCodeFor || ((interpreter, success) => (success ? interpreter.exitCode : 1));
+        this.seq = 1;
+
+        this.interpreter = null;
+        this.debugger = null;
+        this.program = null; // { filePath, displayPath, code } from the launch request
+        this.resume = null; // Resolves the pending pause with a resume command
+        this.frames = []; // Frames of the current pause, indexed by frame id
+        this.references = new Map(); // variablesReference → { container, isScope } shown in the variables view
+        this.running = null; // Promise of the program run
+    }
+
+    start() {
+        // Keep the real stdout for the protocol and turn everything else into output events
+        const write = this.output.write.bind(this.output);
+        this.writeMessage = text => write(text);
+        if (this.output === process.stdout) {
+            process.stdout.write = chunk => this.emitOutput('stdout', chunk);
+            process.stderr.write = chunk => this.emitOutput('stderr', chunk);
+        }
+
+        const receive = createMessageReader(
+            message => {
+                if (message.type === 'request') {
+                    this.dispatch(message);
+                }
+            },
+            error => this.sendEvent('output', { category: 'stderr', output: `Invalid DAP message: ${error.message}\n` })
+        );
+        this.input.on('data', receive);
+        this.input.on('end', () => this.shutdown());
+    }
+
+    send(message) {
+        this.writeMessage(encodeMessage({ seq: this.seq++, ...message }));
+    }
+
+    sendEvent(event, body = {}) {
+        this.send({ type: 'event', event, body });
+    }
+
+    respond(request, body = {}) {
+        this.send({ type: 'response', request_seq: request.seq, command: request.command, success: true, body });
+    }
+
+    fail(request, message) {
+        this.send({ type: 'response', request_seq: request.seq, command: request.command, success: false, message });
+    }
+
+    emitOutput(category, chunk) {
+        this.sendEvent('output', { category, output: String(chunk) });
+        return true;
+    }
+
+    async dispatch(request) {
+        const handler = this[`on${request.command.charAt(0).toUpperCase()}${request.command.slice(1)}`];
+        if (typeof handler !== 'function') {
+            this.fail(request, `Unsupported request: ${request.command}`);
+            return;
+        }
+
+        try {
+            await handler.call(this, request, request.arguments || {});
+        } catch (error) {
+            this.fail(request, error.message);
+        }
+    }
+
+    onInitialize(request) {
+        this.respond(request, {
+            supportsConfigurationDoneRequest: true,
+            supportsEvaluateForHovers: true,
+            supportsTerminateRequest: true
+        });
+        this.sendEvent('initialized');
+    }
+
+    /**
+     * launch { program, stopOnEntry, noDebug, limits }: load the program; it starts at configurationDone
+     */
+    onLaunch(request, args) {
+        if (!args.program) {
+            this.fail(request, 'launch needs a program');
+            return;
+        }
+
+        const filePath = path.resolve(args.program);
+        if (!fs.existsSync(filePath)) {
+            this.fail(request, `File not found: ${filePath}`);
+            return;
+        }
+
+        this.program = {
+            filePath,
+            displayPath: path.relative(process.cwd(), filePath) || filePath,
+            code: fs.readFileSync(filePath, 'utf8')
+        };
+        this.interpreter = new EliosInterpreter(false, { ...this.limitsFor(filePath), ...args.limits });
+        this.interpreter.stdinOwner = 'the debug adapter protocol';
+        this.debugger = new EliosDebugger(this.interpreter, {
+            onPause: event => this.pause(event),
+            stopOnEntry: Boolean(args.stopOnEntry)
+        });
+        if (!args.noDebug) {
+            this.debugger.attach();
+        }
+
+        this.respond(request);
+    }
+
+    onSetBreakpoints(request, args) {
+        if (!this.debugger) {
+            this.fail(request, 'setBreakpoints before launch');
+            return;
+        }
+
+        const lines = (args.breakpoints || []).map(breakpoint => breakpoint.line);
+        this.debugger.setBreakpoints(args.source.path, lines);
+        this.respond(request, {
+            breakpoints: lines.map(line => ({ verified: true, line, source: args.source }))
+        });
+    }
+
+    onConfigurationDone(request) {
+        this.respond(request);
+        if (!this.program || this.running) {
+            return;
+        }
+
+        this.running = this.interpreter.execute(this.program.code, this.program.displayPath)
+            .then(success => {
+                this.sendEvent('exited', { exitCode: this.exitCodeFor(this.interpreter, success) });
+                this.sendEvent('terminated');
+            });
+    }
+
+    onThreads(request) {
+        this.respond(request, { threads: [{ id: THREAD_ID, name: 'main' }] });
+    }
+
+    onStackTrace(request) {
+        const stackFrames = this.frames
+            .map((frame, id) => ({ frame, id }))
+            .filter(({ frame }) => !frame.builtin && frame.loc)
+            .map(({ frame, id }) => ({
+                id,
+                name: frame.name,
+                source: this.source(frame.loc.file),
+                line: frame.loc.line,
+                column: frame.loc.column
+            }));
+        this.respond(request, { stackFrames, totalFrames: stackFrames.length });
+    }
+
+    onScopes(request, args) {
+        const frame = this.frames[args.frameId];
+        if (!frame || !frame.scope) {
+            this.respond(request, { scopes: [] });
+            return;
+        }
+
+        const scopes = frame.scope.chain().map(scope => ({
+            name: scope.kind === 'global' ? 'Global' : `${scope.kind.charAt(0).toUpperCase()}${scope.kind.slice(1)} ${scope.label}`,
+            variablesReference: this.reference(scope.vars, true),
+            expensive: false
+        }));
+        this.respond(request, { scopes });
+    }
+
+    onVariables(request, args) {
+        const { container, isScope } = this.references.get(args.variablesReference) || { container: new Map() };
+        const entries = isList(container)
+            ? container.map((value, index) => [String(index), value])
+            : Array.from(container.entries());
+
+        // Scope variables are shown as $name, list items by index and map entries by key
+        const variables = entries.map(([name, value]) => ({
+            name: isScope ? '$' + name : name,
+            value: formatValue(value),
+            type: isList(value) ? 'list' : isMap(value) ? 'map' : 'text',
+            variablesReference: isList(value) || isMap(value) ? this.reference(value) : 0
+        }));
+        this.respond(request, { variables });
+    }
+
+    async onEvaluate(request, args) {
+        if (!this.debugger || !this.debugger.paused) {
+            this.fail(request, 'The program is not paused');
+            return;
+        }
+
+        const frame = this.frames[args.frameId] || this.frames[0];
+        const evaluate = () => this.debugger.evaluate(args.expression);
+        const result = frame && frame.scope
+            ? await this.interpreter.runInScope(frame.scope, evaluate)
+            : await evaluate();
+        this.respond(request, { result, variablesReference: 0 });
+    }
+
+    onContinue(request) {
+        this.respond(request, { allThreadsContinued: true });
+        this.resumeWith('continue');
+    }
+
+    onNext(request) {
+        this.respond(request);
+        this.resumeWith('next');
+    }
+
+    onStepIn(request) {
+        this.respond(request);
+        this.resumeWith('step');
+    }
+
+    onStepOut(request) {
+        this.respond(request);
+        this.resumeWith('out');
+    }
+
+    onPause(request) {
+        if (this.debugger) {
+            this.debugger.requestPause();
+        }
+        this.respond(request);
+    }
+
+    onTerminate(request) {
+        this.stopProgram();
+        this.respond(request);
+    }
+
+    async onDisconnect(request) {
+        this.stopProgram();
+        this.respond(request);
+        await this.shutdown();
+    }
+
+    /**
+     * Called by the debugger when the program stops; waits for a continue or step request
+     * @param {Object} event - { reason, loc }
+     * @returns {Promise<string>} - Resume command
+     */
+    pause({ reason }) {
+        this.frames = this.interpreter.stackFrames();
+        this.references.clear();
+        this.sendEvent('stopped', { reason: STOP_REASONS[reason] || reason, threadId: THREAD_ID, allThreadsStopped: true });
+        return new Promise(resolve => {
+            this.resume = resolve;
+        });
+    }
+
+    resumeWith(command) {
+        const resume = this.resume;
+        this.resume = null;
+        this.frames = [];
+        if (resume) {
+            resume(command);
+        }
+    }
+
+    /**
+     * End the program as if it had called §exit, releasing it if it is paused
+     */
+    stopProgram() {
+        if (!this.interpreter) return;
+        this.interpreter.shouldExit = true;
+        this.debugger.detach();
+        this.resumeWith('continue');
+    }
+
+    async shutdown() {
+        this.stopProgram();
+        if (this.running) {
+            await this.running;
+        }
+        process.exit(0);
+    }
+
+    /**
+     * @param {Map|array} container - Variables of a scope, or an Elios list or map
+     * @param {boolean} isScope - Whether container holds the variables of a scope
+     * @returns {number} - variablesReference for the variables request
+     */
+    reference(container, isScope = false) {
+        const id = this.references.size + 1;
+        this.references.set(id, { container, isScope });
+        return id;
+    }
+
+    source(file) {
+        const filePath = path.resolve(file || this.program.displayPath);
+        return { name: path.basename(filePath), path: filePath };
+    }
+}
+
+module.exports = DapServer;
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const EliosInterpreter = require('./interpreter');
+const EliosDebugger = require('./debugger');
+const { formatLocation } = require('./errors');
+const { formatValue } = require('./values');
+const { readLineSync } = require('./timed-input');
+
+const COMMANDS = {
+    'c, continue': 'Run to the next breakpoint',
+    's, step': 'Run the next statement, entering function calls',
+    'n, next': 'Run the next statement, stepping over function calls',
+    'o, out': 'Run until the current function returns',
+    'v, vars': 'Show the variables of every visible scope',
+    'bt, stack': 'Show the call and block stack',
+    'p, print <expr>': 'Evaluate an expression or §call, e.g. p $total + 1',
+    'l, list': 'Show the source around the current line',
+    'b, break [file:]line': 'Add a breakpoint (no argument: list them)',
+    'd, delete [file:]line': 'Remove a breakpoint',
+    'q, quit': 'Stop the program',
+    'h, help': 'Show this help'
+};
+
+/**
+ * Terminal front end of the step debugger: `elios debug file.elios [--break file:line]`
+ */
+class DebugConsole {
+    /**
+     * @param {Object} options
+     * @param {array} options.breakpoints - 'file:line' or 'line' strings from --break
+     * @param {boolean} options.stopOnEntry - Stop before the first statement
+     * @param {Object} options.limits - Interpreter options, see EliosInterpreter
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.interpreter = new EliosInterpreter(false, options.limits || {});
+        this.debugger = new EliosDebugger(this.interpreter, {
+            onPause: event => this.pause(event),
+            stopOnEntry: options.stopOnEntry
+        });
+        this.file = null; // Program being debugged, relative to the working directory
+        this.location = null;
+    }
+
+    /**
+     * Debug a program until it ends or the user quits
+     * @param {string} filePath - Program to run
+     * @returns {Promise<boolean>} - Result of interpreter.execute()
+     */
+    async run(filePath) {
+        this.file = path.relative(process.cwd(), filePath) || filePath;
+        for (const spec of this.options.breakpoints || []) {
+            const breakpoint = this.parseBreakpoint(spec);
+            if (breakpoint) {
+                this.debugger.addBreakpoint(breakpoint.file, breakpoint.line);
+            }
+        }
+
+        this.debugger.attach();
+
+        console.log(chalk.cyan(`Debugging ${this.file}`) + chalk.gray(' - type h at a pause for commands'));
+        return await this.interpreter.execute(fs.readFileSync(filePath, 'utf8'), this.file);
+    }
+
+    /**
+     * @param {string} spec - 'file:line' or 'line' (in the program being debugged)
+     * @returns {Object|null} - { file, line }
+     */
+    parseBreakpoint(spec) {
+        const match = String(spec).match(/^(?:(.+):)?(\d+)$/);
+        if (!match) {
+            console.error(chalk.red(`Invalid breakpoint '${spec}': expected file:line or line`));
+            return null;
+        }
+        return { file: match[1] || this.file, line: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Show where the program stopped and read commands until one resumes it
+     * @param {Object} event - { reason, loc }
+     * @returns {Promise<string>} - Resume command for the debugger
+     */
+    async pause({ reason, loc }) {
+        this.location = loc;
+        console.log(chalk.yellow(`\nPaused (${reason}) at ${loc.file || '<input>'}:${loc.line}`));
+        console.log(chalk.gray(formatLocation(loc, this.interpreter.sources.get(loc.file))));
+
+        while (true) {
+            process.stdout.write(chalk.cyan('(edb) '));
+            // Commands are read a line at a time, leaving the rest of stdin to §input
+            const line = readLineSync();
+            if (line === null) {
+                return this.quit();
+            }
+
+            const resume = await this.runCommand(line.trim());
+            if (resume) {
+                return resume;
+            }
+        }
+    }
+
+    /**
+     * @param {string} input - Command line typed at the pause prompt
+     * @returns {Promise<string|null>} - Resume command, or null to stay paused
+     */
+    async runCommand(input) {
+        const [command, ...rest] = input.split(/\s+/);
+        const argument = input.slice(command.length).trim();
+
+        switch (command) {
+            case 'c': case 'continue':
+                return 'continue';
+            case 's': case 'step':
+                return 'step';
+            case 'n': case 'next': case '':
+                return 'next';
+            case 'o': case 'out':
+                return 'out';
+            case 'v': case 'vars':
+                this.showVariables();
+                return null;
+            case 'bt': case 'stack':
+                this.debugger.stack().forEach(line => console.log('  ' + line));
+                return null;
+            case 'p': case 'print':
+                await this.print(argument);
+                return null;
+            case 'l': case 'list':
+                this.listSource();
+                return null;
+            case 'b': case 'break':
+                this.addBreakpoint(rest[0]);
+                return null;
+            case 'd': case 'delete':
+                this.removeBreakpoint(rest[0]);
+                return null;
+            case 'q': case 'quit':
+                return this.quit();
+            case 'h': case 'help':
+                Object.entries(COMMANDS).forEach(([usage, description]) => {
+                    console.log(`  ${chalk.green(usage.padEnd(24))} ${chalk.white(description)}`);
+                });
+                return null;
+            default:
+                console.error(chalk.red(`Unknown command '${command}', type h for help`));
+                return null;
+        }
+    }
+
+    showVariables() {
+        for (const scope of this.debugger.scopes()) {
+            if (scope.variables.size === 0) continue;
+            console.log(chalk.cyan(`  ${scope.name}`));
+            scope.variables.forEach((value, name) => {
+                console.log(`    ${chalk.yellow('$' + name)} = ${chalk.green(formatValue(value))}`);
+            });
+        }
+    }
+
+    async print(expression) {
+        if (!expression) {
+            console.error(chalk.red('Usage: p <expression>'));
+            return;
+        }
+        try {
+            console.log(chalk.green(await this.debugger.evaluate(expression)));
+        } catch (error) {
+            console.error(chalk.red(error.toString()));
+        }
+    }
+
+    listSource() {
+        const source = this.interpreter.sources.get(this.location.file);
+        if (!source) {
+            return;
+        }
+
+        const lines = source.split(/\r?\n/);
+        const first = Math.max(1, this.location.line - 4);
+        const last = Math.min(lines.length, this.location.line + 4);
+        const width = String(last).length;
+        const breakpoints = this.debugger.breakpoints.get(path.resolve(this.location.file)) || new Set();
+
+        for (let line = first; line <= last; line++) {
+            const marker = line === this.location.line ? chalk.yellow('>') : (breakpoints.has(line) ? chalk.red('●') : ' ');
+            console.log(`${marker} ${chalk.gray(String(line).padStart(width))} ${lines[line - 1]}`);
+        }
+    }
+
+    addBreakpoint(spec) {
+        if (!spec) {
+            const list = this.debugger.listBreakpoints();
+            if (list.length === 0) console.log(chalk.gray('  No breakpoints'));
+            list.forEach(({ file, line }) => console.log(`  ${file}:${line}`));
+            return;
+        }
+
+        const breakpoint = this.parseBreakpoint(spec.includes(':') ? spec : `${this.location.file}:${spec}`);
+        if (breakpoint) {
+            this.debugger.addBreakpoint(breakpoint.file, breakpoint.line);
+            console.log(chalk.gray(`Breakpoint set at ${breakpoint.file}:${breakpoint.line}`));
+        }
+    }
+
+    removeBreakpoint(spec) {
+        const breakpoint = spec && this.parseBreakpoint(spec.includes(':') ? spec : `${this.location.file}:${spec}`);
+        if (breakpoint && this.debugger.removeBreakpoint(breakpoint.file, breakpoint.line)) {
+            console.log(chalk.gray(`Breakpoint removed at ${breakpoint.file}:${breakpoint.line}`));
+        } else {
+            console.error(chalk.red(`No breakpoint at ${spec || '(nothing)'}`));
+        }
+    }
+
+    /**
+     * Stop the program: it ends as if it had called §exit[0]
+     */
+    quit() {
+        this.interpreter.shouldExit = true;
+        this.debugger.detach();
+        return 'continue';
+    }
+}
+
+module.exports = DebugConsole;
@@ -0,0 +1,186 @@
+const path = require('path');
+const { formatValue } = require('./values');
+
+/**
+ * Step debugger for the Elios interpreter
+ *
+ * attach() installs interpreter.debugHook, which executeNode calls before every
+ * statement and block header. When the debugger decides to stop it awaits
+ * onPause({ reason, loc }) and resumes with the command it returns:
+ * - 'continue': run to the next breakpoint
+ * - 'step': stop at the next statement, entering function calls
+ * - 'next': stop at the next statement of this function (or an outer one)
+ * - 'out': stop once the current function has returned
+ * Front ends (the `elios debug` console, the DAP server) only deal with this class.
+ */
+class EliosDebugger {
+    /**
+     * @param {EliosInterpreter} interpreter - Interpreter to control
+     * @param {Object} options
+     * @param {function} options.onPause - async ({ reason, loc }) → resume command
+     * @param {boolean} options.stopOnEntry - Stop before the first statement
+     */
+    constructor(interpreter, options = {}) {
+        this.interpreter = interpreter;
+        this.onPause = options.onPause;
+        this.breakpoints = new Map(); // Absolute file path → Set of line numbers
+        this.mode = 'continue';
+        this.stopOnEntry = Boolean(options.stopOnEntry);
+        this.stepDepth = 0; // interpreter.callDepth when the last step command was given
+        this.pauseRequested = false;
+        this.paused = false;
+    }
+
+    attach() {
+        this.interpreter.debugHook = node => this.check(node);
+    }
+
+    detach() {
+        this.interpreter.debugHook = null;
+    }
+
+    /**
+     * Replace the breakpoints of a file
+     * @param {string} file - File path, relative to the working directory or absolute
+     * @param {array} lines - Line numbers
+     */
+    setBreakpoints(file, lines) {
+        this.breakpoints.set(path.resolve(file), new Set(lines));
+    }
+
+    addBreakpoint(file, line) {
+        const key = path.resolve(file);
+        if (!this.breakpoints.has(key)) {
+            this.breakpoints.set(key, new Set());
+        }
+        this.breakpoints.get(key).add(line);
+    }
+
+    /**
+     * @returns {boolean} - false when there was no such breakpoint
+     */
+    removeBreakpoint(file, line) {
+        const lines = this.breakpoints.get(path.resolve(file));
+        return Boolean(lines && lines.delete(line));
+    }
+
+    /**
+     * @returns {array} - { file, line } pairs, files relative to the working directory
+     */
+    listBreakpoints() {
+        const list = [];
+        this.breakpoints.forEach((lines, file) => {
+            [...lines].sort((a, b) => a - b).forEach(line => {
+                list.push({ file: path.relative(process.cwd(), file) || file, line });
+            });
+        });
+        return list;
+    }
+
+    /**
+     * Ask the debugger to stop at the next statement, whatever the step mode
+     */
+    requestPause() {
+        this.pauseRequested = true;
+    }
+
+    /**
+     * Called by executeNode before each statement
+     * @param {Object} node - Statement about to run
+     */
+    async check(node) {
+        const reason = this.pauseReason(node);
+        if (!reason) {
+            return;
+        }
+
+        this.pauseRequested = false;
+        this.paused = true;
+        try {
+            this.mode = await this.onPause({ reason, loc: node.loc });
+        } finally {
+            this.paused = false;
+        }
+        this.stepDepth = this.interpreter.callDepth;
+    }
+
+    /**
+     * @param {Object} node - Statement about to run
+     * @returns {string|null} - 'breakpoint', 'step', 'pause' or 'entry', or null to keep running
+     */
+    pauseReason(node) {
+        if (this.stopOnEntry) {
+            this.stopOnEntry = false;
+            return 'entry';
+        }
+
+        if (node.type === 'Call' && node.name === 'breakpoint') {
+            return 'breakpoint';
+        }
+
+        const file = node.loc.file;
+        const lines = file ? this.breakpoints.get(path.resolve(file)) : null;
+        if (lines && lines.has(node.loc.line)) {
+            return 'breakpoint';
+        }
+
+        if (this.pauseRequested) {
+            return 'pause';
+        }
+
+        const depth = this.interpreter.callDepth;
+        switch (this.mode) {
+            case 'step':
+                return 'step';
+            case 'next':
+                return depth <= this.stepDepth ? 'step' : null;
+            case 'out':
+                return depth < this.stepDepth ? 'step' : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Visible variables, grouped by scope from the innermost outwards
+     * @returns {array} - { name, kind, variables: Map }
+     */
+    scopes() {
+        return this.interpreter.scope.chain().map(scope => ({
+            name: scope.kind === 'global' ? 'global' : `${scope.kind} ${scope.label}`,
+            kind: scope.kind,
+            variables: scope.vars
+        }));
+    }
+
+    /**
+     * Active calls, loop iterations and files, innermost first
+     * @returns {array} - Lines such as 'at §greet (main.elios:4:5)'
+     */
+    stack() {
+        return this.interpreter.captureStack();
+    }
+
+    /**
+     * Evaluate an expression or a §call against the paused program
+     * @param {string} text - e.g. '$count + 1' or '§len[$items]'
+     * @returns {Promise<string>} - The value as text
+     */
+    async evaluate(text) {
+        const interpreter = this.interpreter;
+        const hook = interpreter.debugHook;
+
+        // Functions called by the expression run without stopping at breakpoints
+        interpreter.debugHook = null;
+        try {
+            const value = await interpreter.withCallResults(text.trim(), resolved => (/^§\w+\[/.test(resolved)
+                ? interpreter.resolveValue(resolved)
+                : interpreter.evaluateExpression(resolved)));
+            return formatValue(value);
+        } finally {
+            interpreter.debugHook = hook;
+        }
+    }
+}
+
+module.exports = EliosDebugger;
@@ -0,0 +1,116 @@
+/**
+ * Elios runtime errors
+ * Raised by §throw and by built-ins that fail; §try / §catch can intercept them.
+ */
+
+class EliosError extends Error {
+    /**
+     * @param {string} type - Error type, e.g. 'FileNotFoundError'
+     * @param {string} message - Human readable message
+     * @param {number|null} line - Source line, filled in by the interpreter when unknown
+     */
+    constructor(type, message, line = null) {
+        super(message);
+        this.name = 'EliosError';
+        this.type = type;
+        this.line = line;
+        this.column = null;
+        this.file = null;
+        this.eliosStack = null; // Stack trace lines, innermost first, recorded where the error was raised
+    }
+
+    /**
+     * Value bound to the §catch variable: { type, message, line, column, file, stack }
+     * @returns {Map}
+     */
+    toMap() {
+        return new Map([
+            ['type', this.type],
+            ['message', this.message],
+            ['line', this.line === null ? '' : String(this.line)],
+            ['column', this.column === null ? '' : String(this.column)],
+            ['file', this.file || ''],
+            ['stack', (this.eliosStack || []).join('\n')]
+        ]);
+    }
+
+    toString() {
+        if (this.line === null) {
+            return `${this.type}: ${this.message}`;
+        }
+        return `${this.type}: ${this.message} (${this.file || '<input>'}:${this.line}:${this.column || 1})`;
+    }
+
+    /**
+     * Turn any error thrown while executing a statement into an EliosError
+     * @param {Error} error - Error raised by a handler, plugin or the interpreter
+     * @param {Object} loc - Location of the statement being executed: { file, line, column }
+     * @returns {EliosError}
+     */
+    static from(error, loc) {
+        const eliosError = error instanceof EliosError
+            ? error
+            : new EliosError('RuntimeError', error.message);
+
+        if (error.eliosStack && !eliosError.eliosStack) {
+            eliosError.eliosStack = error.eliosStack;
+        }
+
+        // The innermost statement sets the location; outer blocks keep it
+        if (eliosError.line === null) {
+            eliosError.line = loc.line;
+            eliosError.column = loc.column;
+            eliosError.file = loc.file || null;
+        }
+        return eliosError;
+    }
+}
+
+/**
+ * Raised when a run goes over its --timeout or instruction budget. It is not an
+ * EliosError: §catch and §finally do not run, the program stops where it is.
+ */
+class ExecutionAborted extends Error {
+    /**
+     * @param {string} reason - 'timeout' or 'instructions'
+     * @param {string} message - Human readable message
+     * @param {Object|null} loc - Location of the statement being executed: { file, line, column }
+     */
+    constructor(reason, message, loc = null) {
+        super(message);
+        this.name = 'ExecutionAborted';
+        this.reason = reason;
+        this.loc = loc;
+    }
+}
+
+/**
+ * Point at a source position:
+ *
+ *   --> script.elios:3:5
+ *    |
+ *  3 |     §var[x]
+ *    |     ^
+ *
+ * @param {Object} loc - { file, line, column }
+ * @param {string} [source] - Text of the file, to show the line
+ * @returns {string}
+ */
+function formatLocation(loc, source) {
+    const column = loc.column || 1;
+    const output = [`  --> ${loc.file || '<input>'}:${loc.line}:${column}`];
+    const text = source ? source.split(/\r?\n/)[loc.line - 1] : undefined;
+
+    if (text !== undefined) {
+        const gutter = ' '.repeat(String(loc.line).length);
+        // Keep tabs so the caret lines up under tab-indented code
+        const padding = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+        output.push(`${gutter} |`);
+        output.push(`${loc.line} | ${text}`);
+        output.push(`${gutter} | ${padding}^`);
+    }
+
+    return output.join('\n');
+}
+
+module.exports = { EliosError, ExecutionAborted, formatLocation };
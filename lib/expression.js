@@ -0,0 +1,422 @@
+/**
+ * Elios expression evaluator
+ * Used by §if / §while conditions and §var math instead of handing text to JavaScript.
+ *
+ * Precedence, lowest first:
+ *   or (||)  →  and (&&)  →  not (!)  →  == != < > <= >=  →  + -  →  * / %  →  unary -  →  ( )
+ *
+ * Operands are numbers, "quoted" or 'quoted' strings (variables inside are replaced),
+ * true / false, $variables (with .paths), §calls[...] and bare words, which are read as text.
+ */
+
+const { findClosingBracket } = require('./utils');
+const { isList, isMap, formatValue, followPath } = require('./values');
+const { EliosError } = require('./errors');
+
+class ExpressionError extends EliosError {
+    constructor(message, expression) {
+        super('ExpressionError', `${message} in expression: ${expression}`);
+    }
+}
+
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)$/;
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!'];
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const COMPARISONS = ['==', '!=', '<', '>', '<=', '>='];
+
+/**
+ * Truthiness of an Elios value: false, 0, '', 'false' and empty lists or maps are false
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0 && !isNaN(value);
+    if (isList(value)) return value.length > 0;
+    if (isMap(value)) return value.size > 0;
+
+    const text = formatValue(value).trim();
+    return text !== '' && text !== 'false' && !(NUMBER.test(text) && parseFloat(text) === 0);
+}
+
+/**
+ * Numeric form of a value, or null when it is not a number
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean' || isList(value) || isMap(value)) return null;
+
+    const text = formatValue(value).trim();
+    return NUMBER.test(text) ? parseFloat(text) : null;
+}
+
+/**
+ * Elios equality: numbers compare by value ('5' equals '5.0'), anything else by its text
+ * @param {*} left
+ * @param {*} right
+ * @returns {boolean}
+ */
+function valuesEqual(left, right) {
+    const leftNumber = toNumber(left);
+    const rightNumber = toNumber(right);
+    if (leftNumber !== null && rightNumber !== null) {
+        return leftNumber === rightNumber;
+    }
+    return formatValue(left) === formatValue(right);
+}
+
+class ExpressionEvaluator {
+    /**
+     * @param {Object} resolvers
+     * @param {function} resolvers.variable - name → value, or undefined when not defined
+     * @param {function} resolvers.call - Full §call[...] text → value
+     * @param {function} [resolvers.text] - Quoted string contents → text
+     */
+    constructor(resolvers) {
+        this.resolvers = resolvers;
+        this.expression = '';
+        this.tokens = [];
+        this.position = 0;
+    }
+
+    /**
+     * Evaluate an expression
+     * @param {string} expression - Expression text
+     * @returns {*} - number, boolean, or an Elios value
+     */
+    evaluate(expression) {
+        return this.evaluateNode(this.parse(expression));
+    }
+
+    /**
+     * Parse an expression into a tree, throwing an ExpressionError on bad syntax
+     * @param {string} expression - Expression text
+     * @returns {Object} - Root node
+     */
+    parse(expression) {
+        this.expression = expression.trim();
+        this.tokens = this.tokenize(this.expression);
+        this.position = 0;
+
+        if (this.tokens.length === 0) {
+            throw new ExpressionError('Empty expression', this.expression);
+        }
+
+        const node = this.parseOr();
+        if (this.position < this.tokens.length) {
+            this.fail(`Unexpected '${this.peek().value}'`);
+        }
+        return node;
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char });
+                i++;
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < text.length && text[j] !== char) {
+                    if (text[j] === '\\' && j + 1 < text.length) j++;
+                    value += text[j++];
+                }
+                if (j >= text.length) {
+                    throw new ExpressionError(`Unterminated string starting at position ${i + 1}`, text);
+                }
+                tokens.push({ type: 'string', value });
+                i = j + 1;
+                continue;
+            }
+
+            if (char === '$') {
+                const match = text.slice(i).match(/^\$([a-zA-Z_]\w*)((?:\.\w+)*)/);
+                if (match) {
+                    tokens.push({ type: 'variable', value: match[0], name: match[1], path: match[2] ? match[2].slice(1).split('.') : [] });
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            if (char === '§') {
+                const match = text.slice(i).match(/^§\w+/);
+                if (match) {
+                    let end = i + match[0].length;
+                    if (text[end] === '[') {
+                        const closing = findClosingBracket(text, end);
+                        if (closing === -1) {
+                            throw new ExpressionError(`Missing ']' for ${match[0]}`, text);
+                        }
+                        end = closing + 1;
+                    }
+                    tokens.push({ type: 'call', value: text.slice(i, end) });
+                    i = end;
+                    continue;
+                }
+            }
+
+            const operator = OPERATORS.find(op => text.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'op', value: operator === '===' ? '==' : operator === '!==' ? '!=' : operator });
+                i += operator.length;
+                continue;
+            }
+
+            if (char === '=' || char === '&' || char === '|') {
+                const hint = char === '=' ? " (use '==' to compare)" : '';
+                throw new ExpressionError(`Unexpected '${char}' at position ${i + 1}${hint}`, text);
+            }
+
+            // Bare word: runs until whitespace, a parenthesis or an operator
+            let j = i;
+            while (j < text.length && !/[\s()=!<>+\-*/%&|]/.test(text[j])) j++;
+            const word = text.slice(i, j);
+            const lower = word.toLowerCase();
+
+            if (NUMBER.test(word)) {
+                tokens.push({ type: 'number', value: parseFloat(word) });
+            } else if (KEYWORDS[lower]) {
+                tokens.push({ type: 'op', value: KEYWORDS[lower] });
+            } else if (lower === 'true' || lower === 'false') {
+                tokens.push({ type: 'boolean', value: lower === 'true' });
+            } else {
+                tokens.push({ type: 'word', value: word });
+            }
+            i = j;
+        }
+
+        return tokens;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.matchOp('||')) {
+            left = { type: 'logical', op: '||', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.matchOp('&&')) {
+            left = { type: 'logical', op: '&&', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.matchOp('!')) {
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        let left = this.parseAdditive();
+        let op;
+        while ((op = this.matchOp(...COMPARISONS))) {
+            left = { type: 'binary', op, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        let op;
+        while ((op = this.matchOp('+', '-'))) {
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        let op;
+        while ((op = this.matchOp('*', '/', '%'))) {
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const op = this.matchOp('-', '+');
+        if (op) {
+            return { type: 'unary', op, operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (!token) {
+            this.fail('Unexpected end');
+        }
+
+        if (token.type === 'lparen') {
+            this.position++;
+            const node = this.parseOr();
+            if (!this.peek() || this.peek().type !== 'rparen') {
+                this.fail("Missing ')'");
+            }
+            this.position++;
+            return node;
+        }
+
+        if (token.type === 'op' || token.type === 'rparen') {
+            this.fail(`Unexpected '${token.value}'`);
+        }
+
+        this.position++;
+
+        // Consecutive bare words form one piece of text: $name == John Smith
+        if (token.type === 'word') {
+            const words = [token.value];
+            while (this.peek() && ['word', 'number'].includes(this.peek().type)) {
+                words.push(String(this.tokens[this.position++].value));
+            }
+            return { type: 'literal', value: words.join(' ') };
+        }
+
+        if (token.type === 'variable' || token.type === 'call' || token.type === 'string') {
+            return token;
+        }
+        return { type: 'literal', value: token.value };
+    }
+
+    evaluateNode(node) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'string':
+                return this.resolvers.text ? this.resolvers.text(node.value) : node.value;
+            case 'variable': {
+                const value = this.resolvers.variable(node.name);
+                if (value === undefined) return node.value; // Undefined variables stay as text, like elsewhere
+                const found = followPath(value, node.path);
+                return found.rest.length === 0 ? found.value : formatValue(found.value) + '.' + found.rest.join('.');
+            }
+            case 'call':
+                return this.resolvers.call(node.value);
+            case 'not':
+                return !isTruthy(this.evaluateNode(node.operand));
+            case 'logical': {
+                const left = isTruthy(this.evaluateNode(node.left));
+                if (node.op === '&&') return left && isTruthy(this.evaluateNode(node.right));
+                return left || isTruthy(this.evaluateNode(node.right));
+            }
+            case 'unary': {
+                const operand = this.numeric(this.evaluateNode(node.operand), node.op);
+                return node.op === '-' ? -operand : operand;
+            }
+            case 'binary':
+                return this.applyBinary(node.op, this.evaluateNode(node.left), this.evaluateNode(node.right));
+            default:
+                throw new ExpressionError(`Unknown node '${node.type}'`, this.expression);
+        }
+    }
+
+    applyBinary(op, left, right) {
+        const leftNumber = toNumber(left);
+        const rightNumber = toNumber(right);
+        const numeric = leftNumber !== null && rightNumber !== null;
+
+        switch (op) {
+            case '==':
+                return valuesEqual(left, right);
+            case '!=':
+                return !valuesEqual(left, right);
+            case '<':
+            case '>':
+            case '<=':
+            case '>=': {
+                const a = numeric ? leftNumber : formatValue(left);
+                const b = numeric ? rightNumber : formatValue(right);
+                if (op === '<') return a < b;
+                if (op === '>') return a > b;
+                return op === '<=' ? a <= b : a >= b;
+            }
+            case '+':
+                // + joins text when either side is not a number
+                return numeric ? leftNumber + rightNumber : formatValue(left) + formatValue(right);
+            case '-':
+                return this.numeric(left, op) - this.numeric(right, op);
+            case '*':
+                return this.numeric(left, op) * this.numeric(right, op);
+            case '/':
+            case '%': {
+                const divisor = this.numeric(right, op);
+                if (divisor === 0) {
+                    throw new ExpressionError('Division by zero', this.expression);
+                }
+                return op === '/' ? this.numeric(left, op) / divisor : this.numeric(left, op) % divisor;
+            }
+            default:
+                throw new ExpressionError(`Unknown operator '${op}'`, this.expression);
+        }
+    }
+
+    numeric(value, op) {
+        const number = toNumber(value);
+        if (number === null) {
+            throw new ExpressionError(`'${op}' expects a number, got '${formatValue(value)}'`, this.expression);
+        }
+        return number;
+    }
+
+    /**
+     * Whether text reads as arithmetic: numbers, variables, calls and parentheses joined
+     * by at least one of + - * / %
+     * @param {string} text
+     * @returns {boolean}
+     */
+    isArithmetic(text) {
+        let tokens;
+        try {
+            tokens = this.tokenize(text.trim());
+        } catch (error) {
+            return false;
+        }
+
+        const arithmetic = ['+', '-', '*', '/', '%'];
+        return tokens.some(token => token.type === 'op' && arithmetic.includes(token.value)) &&
+            tokens.every(token => ['number', 'variable', 'call', 'lparen', 'rparen'].includes(token.type) ||
+                (token.type === 'op' && arithmetic.includes(token.value)));
+    }
+
+    /**
+     * Consume the next token if it is one of the given operators
+     * @returns {string|null} - The operator consumed
+     */
+    matchOp(...ops) {
+        const token = this.peek();
+        if (token && token.type === 'op' && ops.includes(token.value)) {
+            this.position++;
+            return token.value;
+        }
+        return null;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    fail(message) {
+        throw new ExpressionError(message, this.expression);
+    }
+}
+
+module.exports = { ExpressionEvaluator, ExpressionError, isTruthy, valuesEqual };
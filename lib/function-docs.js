@@ -0,0 +1,119 @@
+/**
+ * Reference for the built-in § functions and block keywords
+ *
+ * Used for hover text and completion details by the language server and for
+ * completion in the REPL. Keep it in step with the function table in interpreter.js.
+ */
+
+// Built-in functions: name → { signature, description }
+const FUNCTION_DOCS = {
+    log: { signature: '§log[text]', description: 'Print text followed by a newline.' },
+    var: { signature: '§var[name; value]', description: 'Set a variable in the current function (or file) scope.' },
+    local: { signature: '§local[name; value]', description: 'Set a variable in the innermost block scope only.' },
+    scopes: { signature: '§scopes[]', description: 'Print the visible scopes and their variables.' },
+    return: { signature: '§return[value]', description: 'Leave the current function with a value.' },
+    throw: { signature: '§throw[message] §throw[type; message] §throw[$err]', description: 'Raise an error, or rethrow a caught one.' },
+    random: { signature: '§random[min; max]', description: 'Random whole number between min and max, inclusive.' },
+    upper: { signature: '§upper[text]', description: 'Text in upper case.' },
+    lower: { signature: '§lower[text]', description: 'Text in lower case.' },
+    trim: { signature: '§trim[text]', description: 'Text without leading and trailing whitespace.' },
+    len: { signature: '§len[value]', description: 'Length of a text, or number of items of a list or map.' },
+    contains: { signature: '§contains[text; search]', description: 'true when text contains search.' },
+    equalsIgnoreCase: { signature: '§equalsIgnoreCase[a; b]', description: 'true when both texts are equal, ignoring case.' },
+    replace: { signature: '§replace[text; search; replacement]', description: 'Text with every occurrence of search replaced.' },
+    add: { signature: '§add[a; b]', description: 'a + b' },
+    sub: { signature: '§sub[a; b]', description: 'a - b' },
+    mul: { signature: '§mul[a; b]', description: 'a * b' },
+    div: { signature: '§div[a; b]', description: 'a / b; dividing by zero reports an error.' },
+    round: { signature: '§round[number]', description: 'Number rounded to the nearest whole number.' },
+    time: { signature: '§time[]', description: 'Milliseconds since the Unix epoch.' },
+    date: { signature: '§date[format]', description: 'Current date; format uses YYYY, MM, DD, HH, mm and ss (default YYYY-MM-DD).' },
+    sleep: { signature: '§sleep[ms]', description: 'Wait for ms milliseconds (default 1000).' },
+    input: { signature: '§input[prompt]', description: 'Read a line from standard input (an IOError under the debug adapter, whose protocol runs over it).' },
+    clear: { signature: '§clear[]', description: 'Clear the terminal.' },
+    exit: { signature: '§exit[code]', description: 'Stop the program with an exit code from 0 to 255 (default 0).' },
+    break: { signature: '§break', description: 'Leave the innermost loop.' },
+    continue: { signature: '§continue', description: 'Skip to the next iteration of the innermost loop.' },
+    isNaN: { signature: '§isNaN[value]', description: 'true when value is not a number.' },
+    isEven: { signature: '§isEven[number]', description: 'true when number is even.' },
+    isOdd: { signature: '§isOdd[number]', description: 'true when number is odd.' },
+    isMathExpression: { signature: '§isMathExpression[text]', description: 'true when text is an arithmetic expression.' },
+    isNumeric: { signature: '§isNumeric[value]', description: 'true when value is a number.' },
+    isText: { signature: '§isText[value]', description: 'true when value is text rather than a number or boolean.' },
+    isBool: { signature: '§isBool[value]', description: 'true when value is true or false.' },
+    isInt: { signature: '§isInt[value]', description: 'true when value is a whole number.' },
+    isFloat: { signature: '§isFloat[value]', description: 'true when value is a number with a fractional part.' },
+    isJson: { signature: '§isJson[text]', description: 'true when text is valid JSON.' },
+    typeOf: { signature: '§typeOf[value]', description: 'Type name of a value: string, int, float, bool, empty, list or map.' },
+    isFileExist: { signature: '§isFileExist[path]', description: 'true when the file exists.' },
+    createFile: { signature: '§createFile[path]', description: 'Create an empty file, with its directories.' },
+    getPath: { signature: '§getPath[path]', description: 'Absolute path of a file, from the working directory.' },
+    readFile: { signature: '§readFile[path]', description: 'Contents of a file.' },
+    writeFile: { signature: '§writeFile[path; content]', description: 'Write content to a file, creating its directories.' },
+    jsonRead: { signature: '§jsonRead[path]', description: 'Contents of a JSON file: a map for an object, a list for an array.' },
+    jsonWrite: { signature: '§jsonWrite[path; json]', description: 'Write JSON to a file, pretty-printed.' },
+    jsonGet: { signature: '§jsonGet[json; key.path]', description: 'Value at a dotted key path of a JSON text.' },
+    jsonSet: { signature: '§jsonSet[json; key.path; value]', description: 'JSON text with the value at key path replaced.' },
+    jsonParse: { signature: '§jsonParse[json]', description: 'Parse JSON into lists and maps.' },
+    require: { signature: '§require[file]', description: 'Run another file once, in its own file scope: its functions are shared, the variables it creates stay its own.' },
+    import: { signature: '§import[path; alias]', description: 'Load a module once and bind its exports to alias, used as $alias.name and §alias.fn[...].' },
+    export: { signature: '§export[name; other]', description: 'Variables and functions a module makes public.' },
+    list: { signature: '§list[a; b; c]', description: 'A new list of the given items.' },
+    push: { signature: '§push[$list; item]', description: 'Append items to a list.' },
+    pop: { signature: '§pop[$list]', description: 'Remove and return the last item of a list.' },
+    at: { signature: '§at[$list; index]', description: 'Item at index (negative counts from the end).' },
+    slice: { signature: '§slice[$list; start; end]', description: 'Items from start up to, not including, end.' },
+    indexOf: { signature: '§indexOf[$list; item]', description: 'Index of the first matching item, or -1.' },
+    join: { signature: '§join[$list; separator]', description: 'Items joined into a text (default separator ",").' },
+    split: { signature: '§split[text; separator]', description: 'Text split into a list (default separator ",").' },
+    lines: { signature: '§lines[text]', description: 'Text split into a list of lines.' },
+    chars: { signature: '§chars[text]', description: 'Text split into a list of characters.' },
+    sort: { signature: '§sort[$list; desc]', description: 'A sorted copy of a list; pass desc for descending order.' },
+    reverse: { signature: '§reverse[$list]', description: 'A reversed copy of a list.' },
+    map: { signature: '§map[key; value; ...]', description: 'A new map of the given key; value pairs.' },
+    get: { signature: '§get[$map; key; default]', description: 'Value of a key (or list index), or default when missing.' },
+    set: { signature: '§set[$map; key; value]', description: 'Set the value of a key.' },
+    has: { signature: '§has[$map; key]', description: 'true when the map has the key.' },
+    keys: { signature: '§keys[$map]', description: 'List of the keys of a map.' },
+    values: { signature: '§values[$map]', description: 'List of the values of a map.' },
+    delete: { signature: '§delete[$map; key]', description: 'Remove a key from a map.' },
+    breakpoint: { signature: '§breakpoint[]', description: 'Pause here when running under elios debug or a DAP client.' },
+    assertEqual: { signature: '§assertEqual[actual; expected; message]', description: 'Raise an AssertionError unless both values are equal.' },
+    assertTrue: { signature: '§assertTrue[condition; message]', description: 'Raise an AssertionError unless the condition holds.' },
+    assertThrows: { signature: '§assertThrows[expression; type]', description: 'Raise an AssertionError unless the expression raises an error (of the given type).' },
+    testOutput: { signature: '§testOutput[]', description: 'What §log printed so far in the running §test, one line per §log.' }
+};
+
+// Block keywords are parsed as statements, so they are not in interpreter.functions
+const KEYWORD_DOCS = {
+    if: { signature: '§if[condition]', description: 'Run the block when the condition holds; closed by §endif.' },
+    elseif: { signature: '§elseif[condition]', description: 'Alternative branch of an §if.' },
+    else: { signature: '§else', description: 'Branch of an §if run when no condition held.' },
+    endif: { signature: '§endif', description: 'Close an §if block.' },
+    while: { signature: '§while[condition; max=N]', description: 'Repeat the block while the condition holds; closed by §endwhile.' },
+    endwhile: { signature: '§endwhile', description: 'Close a §while block.' },
+    for: { signature: '§for[i; 1..10; step]', description: 'Repeat the block over a range of numbers; closed by §endfor.' },
+    endfor: { signature: '§endfor', description: 'Close a §for block.' },
+    foreach: { signature: '§foreach[item; $collection; max=N] §foreach[key; value; $map]', description: 'Repeat the block for each item of a list or entry of a map; closed by §endforeach.' },
+    endforeach: { signature: '§endforeach', description: 'Close a §foreach block.' },
+    func: { signature: '§func[name; param1; param2]', description: 'Define a function, called as §name[...]; closed by §endfunc.' },
+    endfunc: { signature: '§endfunc', description: 'Close a §func definition.' },
+    try: { signature: '§try', description: 'Run the block, handing errors to §catch; closed by §endtry.' },
+    catch: { signature: '§catch[err]', description: 'Handle an error raised in the §try block; $err is a map with type, message, line and stack.' },
+    finally: { signature: '§finally', description: 'Run after the §try block whatever happened.' },
+    endtry: { signature: '§endtry', description: 'Close a §try block.' },
+    switch: { signature: '§switch[value]', description: 'Run the first §case matching the value; closed by §endswitch.' },
+    case: { signature: '§case[value; other]', description: 'Section of a §switch run when one of the values matches.' },
+    default: { signature: '§default', description: 'Section of a §switch run when no case matched.' },
+    endswitch: { signature: '§endswitch', description: 'Close a §switch block.' },
+    test: { signature: '§test[name]', description: 'A test run by elios test, skipped otherwise; closed by §endtest.' },
+    endtest: { signature: '§endtest', description: 'Close a §test block.' }
+};
+
+const KEYWORDS = Object.keys(KEYWORD_DOCS);
+
+module.exports = {
+    FUNCTION_DOCS,
+    KEYWORD_DOCS,
+    KEYWORDS
+};
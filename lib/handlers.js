@@ -1,8 +1,17 @@
 const chalk = require('chalk');
-const { splitArgs, cleanQuotes } = require('./utils');
+const { splitArgs, findClosingBracket, cleanQuotes } = require('./utils');
+const { isList, isMap, formatValue, fromJson, followPath } = require('./values');
+const { EliosError } = require('./errors');
+const { ExpressionEvaluator, isTruthy } = require('./expression');
+const { readStdinSync, readLineSync } = require('./timed-input');
 
 module.exports = {
     handleInput(args) {
+        // Reading stdin here would swallow bytes meant for whatever owns it
+        if (this.stdinOwner) {
+            throw new EliosError('IOError', `§input cannot read standard input: it carries ${this.stdinOwner}`);
+        }
+
         const prompt = this.replaceVariables(args) || '';
         const cleanedPrompt = cleanQuotes(prompt);
 
@@ -12,11 +21,22 @@ module.exports = {
 
         process.stdout.write(cleanedPrompt + ' ');
 
+        // With a --timeout the wait for input counts against it
+        const remaining = this.remainingTime();
+        if (remaining !== null) {
+            const bytes = readStdinSync(remaining);
+            if (bytes === null) {
+                this.abort('timeout', `Timed out after ${this.timeout}ms waiting for §input`);
+            }
+            const input = bytes.toString('utf8').replace(/\r?\n$/, '');
+            if (this.debug) {
+                console.log(chalk.blue(`[DEBUG INPUT] Received: "${input}"`));
+            }
+            return input;
+        }
+
         try {
-            const fs = require('fs');
-            const buffer = Buffer.alloc(1024);
-            const bytesRead = fs.readSync(0, buffer, 0, buffer.length);
-            const input = buffer.toString('utf8', 0, bytesRead - 1);
+            const input = readLineSync() || '';
 
             if (this.debug) {
                 console.log(chalk.blue(`[DEBUG INPUT] Received: "${input}"`));
@@ -25,7 +45,7 @@ module.exports = {
             return input;
         } catch (error) {
             if (this.debug) {
-                console.log(chalk.red(`[DEBUG INPUT ERROR] ${error.message}`));
+                this.debugError(`[DEBUG INPUT ERROR] ${error.message}`);
             }
             return '';
         }
@@ -49,7 +69,12 @@ module.exports = {
     },
 
     handleExit(args) {
-        const exitCode = parseInt(this.replaceVariables(args)) || 0;
+        // Process exit statuses are 0 to 255; anything else would be truncated or ignored by the OS
+        const text = this.evaluateValue(args).trim();
+        const exitCode = text === '' ? 0 : parseInt(text, 10);
+        if (!/^\d*$/.test(text) || exitCode > 255) {
+            throw new EliosError('ArgumentError', `§exit expects a whole number from 0 to 255, got: '${text}'`);
+        }
 
         if (this.debug) {
             console.log(chalk.blue(`[DEBUG EXIT] Exiting with code: ${chalk.yellow(exitCode)}`));
@@ -65,6 +90,11 @@ module.exports = {
         let text = this.evaluateNestedFunctions(args);
         text = this.replaceVariables(text);
         text = cleanQuotes(text);
+        // Under `elios test` the output is kept for §testOutput[] and the report
+        if (this.logCapture) {
+            this.logCapture.push(text);
+            return;
+        }
         console.log(text);
     },
 
@@ -83,26 +113,178 @@ module.exports = {
         const parts = splitArgs(args);
         if (parts.length >= 2) {
             const name = parts[0].trim();
-            let value = parts.slice(1).join(';').trim();
-
-            value = this.evaluateNestedFunctions(value);
-            value = this.replaceVariables(value);
+            const value = this.resolveValue(parts.slice(1).join(';').trim());
+            this.scope.assign(name, value);
 
-            if (this.isMathExpression(value)) {
-                value = this.evaluateMathExpression(value).toString();
+            if (this.debug) {
+                console.log(chalk.blue(`[DEBUG VAR] ${chalk.yellow(name)} = ${chalk.green(formatValue(value))}`));
             }
+        }
+        else {
+            this.reportError(`[ERROR VAR] Invalid §var syntax: expected §var[name; value], got: §var[${args}]`);
+            if (this.debug) console.log(chalk.blue(`[DEBUG VAR] Provided args: ${args}`));
+        }
+    },
 
-            value = cleanQuotes(value);
-            this.variables.set(name, value);
+    handleLocal(args) {
+        const parts = splitArgs(args);
+        if (parts.length >= 2) {
+            const name = parts[0].trim();
+            const value = this.resolveValue(parts.slice(1).join(';').trim());
+            this.scope.declare(name, value);
 
             if (this.debug) {
-                console.log(chalk.blue(`[DEBUG VAR] ${chalk.yellow(name)} = ${chalk.green(value)}`));
+                console.log(chalk.blue(`[DEBUG LOCAL] ${chalk.yellow(name)} = ${chalk.green(formatValue(value))} (${this.scope.kind} scope)`));
             }
         }
         else {
-            console.error(chalk.red(`[ERROR VAR] Invalid §var syntax: expected §var[name; value], got: §var[${args}]`));
-            if (this.debug) console.log(chalk.blue(`[DEBUG VAR] Provided args: ${args}`));
+            this.reportError(`[ERROR LOCAL] Invalid §local syntax: expected §local[name; value], got: §local[${args}]`);
+        }
+    },
+
+    handleScopes(args) {
+        if (!this.debug) {
+            return '';
+        }
+
+        console.log(chalk.blue('[DEBUG SCOPES] Current scope stack (innermost first):'));
+        this.scope.chain().forEach((scope, idx) => {
+            const vars = Array.from(scope.vars.entries())
+                .map(([key, value]) => `${chalk.yellow(key)}=${chalk.green(formatValue(value))}`)
+                .join(', ');
+            console.log(chalk.blue(`  #${idx} ${scope.kind}${scope.label && scope.label !== scope.kind ? ` (${scope.label})` : ''}: `) + (vars || chalk.gray('(empty)')));
+        });
+
+        return '';
+    },
+
+    /**
+     * Evaluate the value part of §var / §return: nested calls, variables and math
+     * @param {string} value - Raw value text
+     * @returns {string} - Evaluated value
+     */
+    evaluateValue(value) {
+        const math = this.isMathExpression(value);
+        value = this.evaluateNestedFunctions(value);
+        value = this.replaceVariables(value);
+
+        // $first-$last joining two names stays text; only all-number results are computed
+        if (math && /^[\d\s.+\-*/%()]+$/.test(value)) {
+            value = this.evaluateMathExpression(value);
+        }
+
+        return cleanQuotes(value);
+    },
+
+    /**
+     * Evaluate an argument as plain text: nested calls, variables, quotes
+     * @param {string} text - Raw argument text
+     * @returns {string}
+     */
+    evaluateText(text) {
+        let value = this.evaluateNestedFunctions(text);
+        value = this.replaceVariables(value);
+        return cleanQuotes(value);
+    },
+
+    /**
+     * Evaluate an argument keeping list and map values intact
+     * A lone $variable (or $variable.path), a lone §call[...], a [a; b; c] literal or a
+     * {"key": value} literal yield the value itself; anything else goes through evaluateValue and yields text.
+     * @param {string} text - Raw argument text
+     * @returns {*} - Elios value
+     */
+    resolveValue(text) {
+        const trimmed = text.trim();
+
+        const varMatch = trimmed.match(/^\$([a-zA-Z_]\w*)((?:\.\w+)*)$/);
+        if (varMatch && this.scope.has(varMatch[1])) {
+            const segments = varMatch[2] ? varMatch[2].slice(1).split('.') : [];
+            const found = followPath(this.scope.get(varMatch[1]), segments);
+            if (found.rest.length === 0) {
+                return found.value;
+            }
+        }
+
+        const callMatch = trimmed.match(/^§(\w+)\[/);
+        if (callMatch && this.functions[callMatch[1]] &&
+            findClosingBracket(trimmed, callMatch[0].length - 1) === trimmed.length - 1) {
+            const result = this.callBuiltinSync(callMatch[1], trimmed.slice(callMatch[0].length, -1));
+            return isList(result) || isMap(result) ? result : formatValue(result);
+        }
+
+        if (trimmed.startsWith('[') && findClosingBracket(trimmed, 0) === trimmed.length - 1) {
+            return this.parseListLiteral(trimmed.slice(1, -1));
+        }
+
+        // {"key": value} literals are maps
+        if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
+            const evaluated = this.evaluateText(trimmed);
+            try {
+                return fromJson(JSON.parse(evaluated));
+            } catch (error) {
+                return evaluated; // Not a map literal, keep it as text
+            }
+        }
+
+        return this.evaluateValue(trimmed);
+    },
+
+    /**
+     * Build a list from the inside of a [...] literal
+     * Items are separated by ';' like arguments; JSON arrays are accepted as well
+     * @param {string} inner - Text between the brackets
+     * @returns {array}
+     */
+    parseListLiteral(inner) {
+        if (inner.trim() === '') {
+            return [];
+        }
+
+        try {
+            return fromJson(JSON.parse('[' + inner + ']'));
+        } catch (error) {
+            return splitArgs(inner).map(item => this.resolveValue(item));
+        }
+    },
+
+    handleReturn(args) {
+        const value = this.resolveValue(args.trim());
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG RETURN] ${chalk.green(formatValue(value))}`));
         }
+
+        this.returnValue = value;
+        this.shouldReturn = true;
+        return value;
+    },
+
+    /**
+     * §throw[message], §throw[type; message], or §throw[$err] to rethrow a caught error
+     */
+    handleThrow(args) {
+        const parts = splitArgs(args);
+        const value = parts.length === 1 ? this.resolveValue(parts[0]) : null;
+
+        let error;
+        if (isMap(value) && value.has('message')) {
+            const line = parseInt(formatValue(value.get('line')), 10);
+            error = new EliosError(formatValue(value.get('type')) || 'Error', formatValue(value.get('message')), isNaN(line) ? null : line);
+            if (error.line !== null) {
+                error.column = parseInt(formatValue(value.get('column')), 10) || null;
+                error.file = formatValue(value.get('file')) || null;
+            }
+        } else if (parts.length > 1) {
+            error = new EliosError(this.evaluateText(parts[0]), this.evaluateText(parts.slice(1).join(';')));
+        } else {
+            error = new EliosError('Error', formatValue(value));
+        }
+
+        if (this.debug) {
+            this.debugError(`[DEBUG THROW] ${error.toString()}`);
+        }
+        throw error;
     },
 
     handleRandom(args) {
@@ -133,6 +315,16 @@ module.exports = {
     },
 
     handleLen(args) {
+        const value = this.resolveValue(args);
+        if (isList(value)) {
+            if (this.debug) console.log(chalk.blue(`[DEBUG LEN] list → ${chalk.green(value.length)}`));
+            return value.length.toString();
+        }
+        if (isMap(value)) {
+            if (this.debug) console.log(chalk.blue(`[DEBUG LEN] map → ${chalk.green(value.size)}`));
+            return value.size.toString();
+        }
+
         let text = this.evaluateNestedFunctions(args);
         text = this.replaceVariables(text);
         text = cleanQuotes(text);
@@ -229,7 +421,7 @@ module.exports = {
                 }
                 return result;
             } else {
-                console.error(chalk.red(`[ERROR ADD] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`));
+                this.reportError(`[ERROR ADD] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`);
                 if (this.debug) console.log(chalk.blue(`[DEBUG ADD] evaluatedArgs='${evaluatedArgs}'`));
                 return '0';
             }
@@ -252,7 +444,7 @@ module.exports = {
                 }
                 return result;
             } else {
-                console.error(chalk.red(`[ERROR SUB] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`));
+                this.reportError(`[ERROR SUB] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`);
                 if (this.debug) console.log(chalk.blue(`[DEBUG SUB] evaluatedArgs='${evaluatedArgs}'`));
                 return '0';
             }
@@ -275,7 +467,7 @@ module.exports = {
                 }
                 return result;
             } else {
-                console.error(chalk.red(`[ERROR MUL] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`));
+                this.reportError(`[ERROR MUL] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`);
                 if (this.debug) console.log(chalk.blue(`[DEBUG MUL] evaluatedArgs='${evaluatedArgs}'`));
                 return '0';
             }
@@ -292,13 +484,13 @@ module.exports = {
             const a = parseFloat(cleanQuotes(parts[0]));
             const b = parseFloat(cleanQuotes(parts[1]));
             if (isNaN(a) || isNaN(b)) {
-                console.error(chalk.red(`[ERROR DIV] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`));
+                this.reportError(`[ERROR DIV] Invalid numeric arguments: '${parts[0]}' and '${parts[1]}'`);
                 if (this.debug) console.log(chalk.blue(`[DEBUG DIV] evaluatedArgs='${evaluatedArgs}'`));
                 return '0';
             }
 
             if (b === 0) {
-                console.error(chalk.red(`[ERROR DIV] Division by zero: ${a} / ${b}`));
+                this.reportError(`[ERROR DIV] Division by zero: ${a} / ${b}`);
                 return '0';
             }
 
@@ -354,109 +546,165 @@ module.exports = {
         return result;
     },
 
+    /**
+     * Replace the built-in calls in a piece of text with their results, left to right.
+     * Each call is delimited with findClosingBracket and its arguments are evaluated
+     * first, so an argument holding a list result such as ["a", "b"] stays inside its call.
+     * @param {string} text - Text possibly containing §name[...] calls
+     * @returns {string}
+     */
     evaluateNestedFunctions(text) {
-        let result = text;
-
-        let changed;
-        let iterations = 0;
-        const maxIterations = 10;
-
-        do {
-            changed = false;
-            const functionMatch = result.match(/§(\w+)\[([^\[\]]*)\]/);
-
-            if (functionMatch && iterations < maxIterations) {
-                const fullMatch = functionMatch[0];
-                const funcName = functionMatch[1];
-                let funcArgs = functionMatch[2];
-
-                if (this.functions[funcName]) {
-                    funcArgs = cleanQuotes(funcArgs);
-                    const functionResult = this.functions[funcName](funcArgs);
-
-                    if (functionResult !== undefined) {
-                        result = result.replace(fullMatch, functionResult);
-                        changed = true;
-                        iterations++;
-                    }
-                }
+        let result = '';
+        let index = 0;
+
+        while (index < text.length) {
+            const start = text.indexOf('§', index);
+            if (start === -1) {
+                break;
             }
-        } while (changed && iterations < maxIterations);
 
-        return result;
-    },
+            const match = text.slice(start).match(/^§(\w+)\[/);
+            const closeIndex = match && this.functions[match[1]]
+                ? findClosingBracket(text, start + match[0].length - 1)
+                : -1;
+            if (closeIndex === -1) {
+                result += text.slice(index, start + 1);
+                index = start + 1;
+                continue;
+            }
 
-    evaluateCondition(condition) {
-        try {
-            let evaluatedCondition = this.evaluateNestedFunctions(condition);
-            evaluatedCondition = this.replaceVariables(evaluatedCondition);
+            let funcArgs = this.evaluateNestedFunctions(text.slice(start + match[0].length, closeIndex));
+            // Quotes around a single argument are dropped; several arguments are left for splitArgs
+            if (splitArgs(funcArgs).length <= 1) {
+                funcArgs = cleanQuotes(funcArgs);
+            }
 
-            const context = {};
+            const functionResult = this.callBuiltinSync(match[1], funcArgs);
+            result += text.slice(index, start);
+            result += functionResult !== undefined ? this.escapeInterpolation(formatValue(functionResult)) : text.slice(start, closeIndex + 1);
+            index = closeIndex + 1;
+        }
 
-            this.variables.forEach((value, key) => {
-                const numValue = parseFloat(value);
-                context[key] = isNaN(numValue) ? value : numValue;
-            });
+        return result + text.slice(index);
+    },
 
-            const safeEval = (expr, context) => {
-                const func = new Function(...Object.keys(context), `return ${expr}`);
-                return func(...Object.values(context));
-            };
+    /**
+     * Evaluate an Elios expression with the variables and functions in scope. Built-in
+     * calls are operands of their own; user function calls reach here as the $variables
+     * withCallResults() bound their results to, so a result such as "a or b" stays one value.
+     * @param {string} expression - Expression text
+     * @returns {*} - number, boolean, or an Elios value
+     */
+    evaluateExpression(expression) {
+        const evaluator = new ExpressionEvaluator({
+            variable: name => (this.scope.has(name) ? this.scope.get(name) : undefined),
+            call: text => this.resolveValue(text),
+            text: text => this.replaceVariables(text)
+        });
+        return evaluator.evaluate(expression);
+    },
 
-            const result = safeEval(evaluatedCondition, context);
+    evaluateCondition(condition) {
+        try {
+            const result = isTruthy(this.evaluateExpression(condition));
 
             if (this.debug) {
                 const color = result ? chalk.green : chalk.red;
                 console.log(chalk.blue(`[DEBUG CONDITION] ${chalk.yellow(condition)} → ${color(result)}`));
             }
 
-            return Boolean(result);
-
+            return result;
         } catch (error) {
             if (this.debug) {
-                console.log(chalk.red(`[DEBUG CONDITION ERROR] ${chalk.yellow(condition)}: ${error.message}`));
+                this.debugError(`[DEBUG CONDITION ERROR] ${chalk.yellow(condition)}: ${error.message}`);
             }
-            return false;
+            throw error;
         }
     },
 
     isMathExpression(expr) {
-        return /[\+\-\*\/\(\)]/.test(expr) && !expr.includes('§');
+        return new ExpressionEvaluator({}).isArithmetic(expr);
     },
 
     evaluateMathExpression(expr) {
-        try {
-            let evaluatedExpr = this.replaceVariables(expr);
-            evaluatedExpr = evaluatedExpr.replace(/[^0-9+\-*/().]/g, '');
-            const result = eval(evaluatedExpr);
-            if (this.debug) {
-                console.log(chalk.blue(`[DEBUG MATH] ${chalk.yellow(expr)} → ${chalk.green(result)}`));
-            }
-            return result;
-        } catch (error) {
-            if (this.debug) {
-                console.log(chalk.red(`[DEBUG MATH ERROR] ${chalk.yellow(expr)}: ${error.message}`));
-            }
-            return 0;
+        const result = formatValue(this.evaluateExpression(expr));
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG MATH] ${chalk.yellow(expr)} → ${chalk.green(result)}`));
         }
+        return result;
     },
 
     escapeRegex(text) {
         return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     },
 
+    /**
+     * Replace ${expression} with the value of the expression; \${ gives a literal ${
+     * @param {string} text - Text to interpolate
+     * @returns {string}
+     */
+    interpolate(text) {
+        if (!text.includes('${')) {
+            return text;
+        }
+
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            if (text.startsWith('\\${', i)) {
+                result += '${';
+                i += 3;
+            } else if (text.startsWith('${', i)) {
+                const end = findClosingBracket(text, i + 1, '{', '}');
+                if (end === -1) {
+                    throw new EliosError('SyntaxError', `Missing '}' after '\${' in: ${text}`);
+                }
+
+                const value = this.evaluateExpression(text.slice(i + 2, end));
+                if (this.debug) {
+                    console.log(chalk.blue(`[DEBUG INTERPOLATE] ${chalk.yellow(text.slice(i, end + 1))} → ${chalk.green(formatValue(value))}`));
+                }
+
+                result += formatValue(value);
+                i = end + 1;
+            } else {
+                result += text[i++];
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Turn ${ into \${ in a built-in result substituted into argument text, so interpolate()
+     * gives it back as it is: only ${...} written in the source is evaluated, never data
+     * read from files, typed at §input or returned by a function
+     * @param {string} text - Formatted call result
+     * @returns {string}
+     */
+    escapeInterpolation(text) {
+        return text.replace(/\$\{/g, '\\${');
+    },
+
     replaceVariables(text) {
-        let result = text;
-        const entries = Array.from(this.variables.entries()).sort((a, b) => b[0].length - a[0].length);
+        let result = this.interpolate(text);
+        const visible = this.scope.entries();
+        const entries = Array.from(visible.entries()).sort((a, b) => b[0].length - a[0].length);
 
         if (entries.length === 0) return result;
 
         const keys = entries.map(([k]) => this.escapeRegex(k));
-        const combined = new RegExp('\\$(' + keys.join('|') + ')', 'g');
+        const combined = new RegExp('\\$(' + keys.join('|') + ')((?:\\.\\w+)*)', 'g');
+
+        // $config.server.port reads through maps and lists; on plain text the suffix is kept as is
+        result = result.replace(combined, (match, p1, path) => {
+            const value = visible.get(p1);
+            if (value === undefined) return match;
 
-        result = result.replace(combined, (match, p1) => {
-            const value = this.variables.get(p1);
-            return value !== undefined ? value : match;
+            const segments = path ? path.slice(1).split('.') : [];
+            const found = followPath(value, segments);
+            return formatValue(found.value) + found.rest.map(segment => '.' + segment).join('');
         });
 
         return result;
@@ -482,6 +730,10 @@ module.exports = {
     },
 
     handleBreak(args) {
+        if (this.loopDepth === 0) {
+            if (this.debug) console.log(chalk.yellow(`[DEBUG BREAK] Ignored: §break outside of a loop`));
+            return '';
+        }
         if (this.debug) {
             console.log(chalk.blue(`[DEBUG BREAK] Breaking out of loop`));
         }
@@ -490,6 +742,10 @@ module.exports = {
     },
 
     handleContinue(args) {
+        if (this.loopDepth === 0) {
+            if (this.debug) console.log(chalk.yellow(`[DEBUG CONTINUE] Ignored: §continue outside of a loop`));
+            return '';
+        }
         if (this.debug) {
             console.log(chalk.blue(`[DEBUG CONTINUE] Continuing to next iteration`));
         }
@@ -497,6 +753,14 @@ module.exports = {
         return '';
     },
 
+    // §breakpoint[] stops `elios debug`; the debugger sees it before it runs, so here it does nothing
+    handleBreakpoint(args) {
+        if (this.debug && !this.debugHook) {
+            console.log(chalk.yellow('[DEBUG BREAKPOINT] Ignored: not running under elios debug'));
+        }
+        return '';
+    },
+
     handleIsEven(args) {
     let evaluatedArgs = this.evaluateNestedFunctions(args);
     evaluatedArgs = this.replaceVariables(evaluatedArgs);
@@ -545,7 +809,7 @@ handleIsFileExist(args) {
         return exists;
     } catch (error) {
         if (this.debug) {
-            console.log(chalk.red(`[DEBUG IS_FILE_EXIST ERROR] ${error.message}`));
+            this.debugError(`[DEBUG IS_FILE_EXIST ERROR] ${error.message}`);
         }
         return false;
     }
@@ -574,7 +838,7 @@ handleCreateFile(args) {
         return true;
     } catch (error) {
         if (this.debug) {
-            console.log(chalk.red(`[DEBUG CREATE_FILE ERROR] ${error.message}`));
+            this.debugError(`[DEBUG CREATE_FILE ERROR] ${error.message}`);
         }
         return false;
     }
@@ -603,7 +867,7 @@ handleGetPath(args) {
         return result;
     } catch (error) {
         if (this.debug) {
-            console.log(chalk.red(`[DEBUG GET_PATH ERROR] ${error.message}`));
+            this.debugError(`[DEBUG GET_PATH ERROR] ${error.message}`);
         }
         return '';
     }
@@ -614,16 +878,13 @@ handleReadFile(args) {
     evaluatedArgs = this.replaceVariables(evaluatedArgs);
     evaluatedArgs = cleanQuotes(evaluatedArgs);
     
+    const fs = require('fs');
+    
+    if (!fs.existsSync(evaluatedArgs)) {
+        throw new EliosError('FileNotFoundError', `File not found: ${evaluatedArgs}`);
+    }
+    
     try {
-        const fs = require('fs');
-        
-        if (!fs.existsSync(evaluatedArgs)) {
-            if (this.debug) {
-                console.log(chalk.red(`[DEBUG READ_FILE] File not found: "${chalk.yellow(evaluatedArgs)}"`));
-            }
-            return '';
-        }
-        
         const content = fs.readFileSync(evaluatedArgs, 'utf8');
         
         if (this.debug) {
@@ -632,10 +893,7 @@ handleReadFile(args) {
         
         return content;
     } catch (error) {
-        if (this.debug) {
-            console.log(chalk.red(`[DEBUG READ_FILE ERROR] ${error.message}`));
-        }
-        return '';
+        throw new EliosError('IOError', `Cannot read ${evaluatedArgs}: ${error.message}`);
     }
 },
 
@@ -665,110 +923,107 @@ handleReplace(args) {
 handleWriteFile(args) {
     let evaluatedArgs = this.evaluateNestedFunctions(args);
     evaluatedArgs = this.replaceVariables(evaluatedArgs);
-    evaluatedArgs = cleanQuotes(evaluatedArgs);
     
+    // Quotes are taken off each part: stripping the whole text first would pair the
+    // opening quote of the path with the closing quote of the content
     const parts = splitArgs(evaluatedArgs);
-    if (parts.length >= 2) {
-        const filePath = cleanQuotes(parts[0]);
-        let content = parts.slice(1).join(';');
-        content = cleanQuotes(content);
-        
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            
-            const dir = path.dirname(filePath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-            
-            fs.writeFileSync(filePath, content, 'utf8');
-            
-            if (this.debug) {
-                console.log(chalk.blue(`[DEBUG WRITE_FILE] Written ${chalk.yellow(content.length)} chars to "${chalk.yellow(filePath)}"`));
-            }
-            
-            return true;
-        } catch (error) {
-            if (this.debug) {
-                console.log(chalk.red(`[DEBUG WRITE_FILE ERROR] ${error.message}`));
-            }
-            return false;
-        }
+    if (parts.length < 2) {
+        throw new EliosError('ArgumentError', '§writeFile expects a path and content: §writeFile[path; content]');
     }
     
-    return false;
-},
-
-handleJsonRead(args) {
-    let evaluatedArgs = this.evaluateNestedFunctions(args);
-    evaluatedArgs = this.replaceVariables(evaluatedArgs);
-    evaluatedArgs = cleanQuotes(evaluatedArgs);
+    const filePath = cleanQuotes(parts[0]);
+    let content = parts.slice(1).join(';');
+    content = cleanQuotes(content);
     
     try {
         const fs = require('fs');
+        const path = require('path');
         
-        if (!fs.existsSync(evaluatedArgs)) {
-            if (this.debug) {
-                console.log(chalk.red(`[DEBUG JSON_READ] File not found: "${chalk.yellow(evaluatedArgs)}"`));
-            }
-            return '{}';
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
         }
         
-        const content = fs.readFileSync(evaluatedArgs, 'utf8');
-        const jsonData = JSON.parse(content);
+        fs.writeFileSync(filePath, content, 'utf8');
         
         if (this.debug) {
-            console.log(chalk.blue(`[DEBUG JSON_READ] Read JSON from "${chalk.yellow(evaluatedArgs)}"`));
+            console.log(chalk.blue(`[DEBUG WRITE_FILE] Written ${chalk.yellow(content.length)} chars to "${chalk.yellow(filePath)}"`));
         }
         
-        return JSON.stringify(jsonData);
+        return true;
     } catch (error) {
-        if (this.debug) {
-            console.log(chalk.red(`[DEBUG JSON_READ ERROR] ${error.message}`));
-        }
-        return '{}';
+        throw new EliosError('IOError', `Cannot write ${filePath}: ${error.message}`);
     }
 },
 
-handleJsonWrite(args) {
+handleJsonRead(args) {
     let evaluatedArgs = this.evaluateNestedFunctions(args);
     evaluatedArgs = this.replaceVariables(evaluatedArgs);
     evaluatedArgs = cleanQuotes(evaluatedArgs);
     
+    const fs = require('fs');
+    
+    if (!fs.existsSync(evaluatedArgs)) {
+        throw new EliosError('FileNotFoundError', `File not found: ${evaluatedArgs}`);
+    }
+    
+    let jsonData;
+    try {
+        jsonData = JSON.parse(fs.readFileSync(evaluatedArgs, 'utf8'));
+    } catch (error) {
+        const type = error instanceof SyntaxError ? 'JsonError' : 'IOError';
+        throw new EliosError(type, `Cannot read JSON from ${evaluatedArgs}: ${error.message}`);
+    }
+    
+    if (this.debug) {
+        console.log(chalk.blue(`[DEBUG JSON_READ] Read JSON from "${chalk.yellow(evaluatedArgs)}"`));
+    }
+    
+    // Arrays become lists and objects maps; passed to §jsonGet they are written back as JSON
+    return fromJson(jsonData);
+},
+
+handleJsonWrite(args) {
+    let evaluatedArgs = this.evaluateNestedFunctions(args);
+    evaluatedArgs = this.replaceVariables(evaluatedArgs);
+    
+    // Quotes are taken off each part: stripping the whole text first would pair the
+    // opening quote of the path with the closing quote of the content
     const parts = splitArgs(evaluatedArgs);
-    if (parts.length >= 2) {
-        const filePath = cleanQuotes(parts[0]);
-        let jsonContent = parts.slice(1).join(';');
-        jsonContent = cleanQuotes(jsonContent);
+    if (parts.length < 2) {
+        throw new EliosError('ArgumentError', '§jsonWrite expects a path and JSON content: §jsonWrite[path; json]');
+    }
+    
+    const filePath = cleanQuotes(parts[0]);
+    let jsonContent = parts.slice(1).join(';');
+    jsonContent = cleanQuotes(jsonContent);
+    
+    let jsonData;
+    try {
+        jsonData = JSON.parse(jsonContent);
+    } catch (error) {
+        throw new EliosError('JsonError', `Invalid JSON for ${filePath}: ${error.message}`);
+    }
+    
+    try {
+        const fs = require('fs');
+        const path = require('path');
         
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            
-            const jsonData = JSON.parse(jsonContent);
-            
-            const dir = path.dirname(filePath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-            
-            fs.writeFileSync(filePath, JSON.stringify(jsonData, null, 2), 'utf8');
-            
-            if (this.debug) {
-                console.log(chalk.blue(`[DEBUG JSON_WRITE] Written JSON to "${chalk.yellow(filePath)}"`));
-            }
-            
-            return true;
-        } catch (error) {
-            if (this.debug) {
-                console.log(chalk.red(`[DEBUG JSON_WRITE ERROR] ${error.message}`));
-            }
-            return false;
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        
+        fs.writeFileSync(filePath, JSON.stringify(jsonData, null, 2), 'utf8');
+        
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG JSON_WRITE] Written JSON to "${chalk.yellow(filePath)}"`));
         }
+        
+        return true;
+    } catch (error) {
+        throw new EliosError('IOError', `Cannot write ${filePath}: ${error.message}`);
     }
-    
-    return false;
 },
 
 handleJsonGet(args) {
@@ -813,7 +1068,7 @@ handleJsonGet(args) {
             return result;
         } catch (error) {
             if (this.debug) {
-                console.log(chalk.red(`[DEBUG JSON_GET ERROR] ${error.message}`));
+                this.debugError(`[DEBUG JSON_GET ERROR] ${error.message}`);
             }
             return '';
         }
@@ -865,7 +1120,7 @@ handleJsonSet(args) {
             return result;
         } catch (error) {
             if (this.debug) {
-                console.log(chalk.red(`[DEBUG JSON_SET ERROR] ${error.message}`));
+                this.debugError(`[DEBUG JSON_SET ERROR] ${error.message}`);
             }
             return jsonString;
         }
@@ -953,6 +1208,15 @@ handleJsonSet(args) {
     },
 
     handleTypeOf(args) {
+        const value = this.resolveValue(args);
+        if (isList(value) || isMap(value)) {
+            const type = isList(value) ? 'list' : 'map';
+            if (this.debug) {
+                console.log(chalk.blue(`[DEBUG TYPEOF] ${type}`));
+            }
+            return type;
+        }
+
         let evaluatedArgs = this.evaluateNestedFunctions(args);
         evaluatedArgs = this.replaceVariables(evaluatedArgs);
         evaluatedArgs = cleanQuotes(evaluatedArgs);
@@ -981,16 +1245,16 @@ handleJsonSet(args) {
         return type;
     },
 
-    handleRequire(args) {
-        // Note: §require is actually processed at compile-time via processRequires()
+    async handleRequire(args) {
         let evaluatedArgs = this.evaluateNestedFunctions(args);
         evaluatedArgs = this.replaceVariables(evaluatedArgs);
         evaluatedArgs = cleanQuotes(evaluatedArgs);
-        
-        if (this.debug) {
-            console.log(chalk.blue(`[DEBUG REQUIRE] Require called at runtime for: ${evaluatedArgs}`));
+
+        if (!evaluatedArgs) {
+            throw new EliosError('ArgumentError', '§require needs a file path');
         }
-        
+
+        await this.requireFile(evaluatedArgs);
         return 'true';
     },
 
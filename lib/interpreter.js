@@ -1,15 +1,43 @@
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
-const { splitArgs, cleanQuotes } = require('./utils');
+const { AsyncLocalStorage } = require('async_hooks');
+const { splitArgs, findClosingBracket } = require('./utils');
+const { Parser } = require('./parser');
+const Scope = require('./scope');
+const { EliosError, ExecutionAborted, formatLocation } = require('./errors');
+const { valuesEqual } = require('./expression');
+const { isList, isMap, formatValue, fromJson } = require('./values');
+const { resolveModule } = require('./module-path');
 const PluginLoader = require('./plugin-loader');
 
+// Token of the execute() call the running code belongs to: { aborted }. A run abandoned
+// after its timeout keeps its token, so it stops even once a later run has started.
+const runContext = new AsyncLocalStorage();
 
 class EliosInterpreter {
-    constructor(debug = false) {
-        this.variables = new Map();
+    /**
+     * @param {boolean} debug - Print [DEBUG ...] traces
+     * @param {Object} options - Limits: { maxIterations, maxDepth, fatalLimits, timeout, maxInstructions }.
+     *   maxIterations replaces the default caps of §while (1000) and §for (10000), and caps §foreach,
+     *   which otherwise stops at the end of its collection; fatalLimits turns
+     *   hitting a limit into an uncaught LimitError instead of an error message. timeout (ms) and
+     *   maxInstructions (statements and loop iterations) stop a run of execute() for good.
+     */
+    constructor(debug = false, options = {}) {
+        this.variables = new Map(); // Global variables
+        this.globalScope = new Scope('global', null, 'global', this.variables);
+        this.scope = this.globalScope; // Innermost scope of the running code
+        this.userFunctions = new Map(); // Functions defined with §func[...] ... §endfunc
         this.pluginLoader = new PluginLoader(debug);
         this.loadedFiles = new Set(); // Track loaded files to prevent infinite loops
+        this.sources = new Map(); // File → source text, for error snippets
+        this.currentLoc = null; // Location of the statement being executed
+        this.callStack = []; // Active calls, loop iterations and required files, for stack traces
+        this.modules = new Map(); // Absolute path → module record, so each §import runs a module once
+        this.namespaces = new WeakMap(); // Export map bound to an import alias → its module record
+        this.currentModule = null; // Module whose code is running, null for the main program
+        this.callResultCount = 0; // Names the variables withCallResults() binds call results to
         this.functions = {
             'log': this.handleLog.bind(this),
             'var': this.handleVar.bind(this), 
@@ -27,7 +55,6 @@ class EliosInterpreter {
             'time': this.handleTime.bind(this),
             'date': this.handleDate.bind(this),
             'sleep': this.handleSleep.bind(this),
-            'while': this.processWhile.bind(this),
             'input': this.handleInput.bind(this), 
             'clear': this.handleClear.bind(this),
             'equalsIgnoreCase': this.handleEqualsIgnoreCase.bind(this),
@@ -56,14 +83,60 @@ class EliosInterpreter {
             'isJson': this.handleIsJson.bind(this),
             'typeOf': this.handleTypeOf.bind(this),
             'require': this.handleRequire.bind(this),
-            'for': this.processFor.bind(this),
-            'endfor': this.handleEndFor.bind(this)
+            'return': this.handleReturn.bind(this),
+            'local': this.handleLocal.bind(this),
+            'scopes': this.handleScopes.bind(this),
+            'list': this.handleList.bind(this),
+            'push': this.handlePush.bind(this),
+            'pop': this.handlePop.bind(this),
+            'at': this.handleAt.bind(this),
+            'slice': this.handleSlice.bind(this),
+            'indexOf': this.handleIndexOf.bind(this),
+            'join': this.handleJoin.bind(this),
+            'split': this.handleSplit.bind(this),
+            'lines': this.handleLines.bind(this),
+            'chars': this.handleChars.bind(this),
+            'sort': this.handleSort.bind(this),
+            'reverse': this.handleReverse.bind(this),
+            'map': this.handleMap.bind(this),
+            'get': this.handleGet.bind(this),
+            'set': this.handleSet.bind(this),
+            'has': this.handleHas.bind(this),
+            'keys': this.handleKeys.bind(this),
+            'values': this.handleValues.bind(this),
+            'delete': this.handleDelete.bind(this),
+            'jsonParse': this.handleJsonParse.bind(this),
+            'throw': this.handleThrow.bind(this),
+            'import': this.handleImport.bind(this),
+            'export': this.handleExport.bind(this),
+            'breakpoint': this.handleBreakpoint.bind(this),
+            'assertEqual': this.handleAssertEqual.bind(this),
+            'assertTrue': this.handleAssertTrue.bind(this),
+            'assertThrows': this.handleAssertThrows.bind(this),
+            'testOutput': this.handleTestOutput.bind(this)
         };
         this.debug = debug;
         this.shouldExit = false;
         this.exitCode = 0;
         this.shouldBreak = false;
         this.shouldContinue = false;
+        this.shouldReturn = false;
+        this.returnValue = '';
+        this.callDepth = 0;
+        this.loopDepth = 0; // §break / §continue only apply inside loops
+        this.maxIterations = options.maxIterations || null; // null keeps the per-loop-type defaults
+        this.maxDepth = options.maxDepth || 1000;
+        this.fatalLimits = Boolean(options.fatalLimits);
+        this.timeout = options.timeout || null;
+        this.maxInstructions = options.maxInstructions || null;
+        this.instructionCount = 0;
+        this.deadline = null; // Date.now() value after which the run is aborted
+        this.failure = null; // Why execute() returned false: 'validation', 'runtime' or 'aborted'
+        this.debugHook = null; // async (node) => void, run before each statement by an attached debugger
+        this.lastError = null; // Error that ended the last execute() with 'runtime' or 'aborted'
+        this.testRun = null; // { filter, results } while `elios test` runs a file; §test blocks are skipped otherwise
+        this.logCapture = null; // Lines printed by §log, kept instead of printed while tests run
+        this.stdinOwner = null; // What reads stdin instead of §input, e.g. the debug adapter's protocol
         
         // Load plugins after core functions are initialized
         this.loadPlugins();
@@ -91,98 +164,499 @@ class EliosInterpreter {
         return this.pluginLoader.getPluginInfo();
     }
 
-    async execute(code) {
+    /**
+     * Run a program
+     * @param {string} code - The Elios code
+     * @param {string} file - File name used in error locations
+     * @returns {Promise<boolean>} - false when the code is invalid or an error was not caught;
+     *   this.failure then tells which. A program ended by §exit returns true with its this.exitCode.
+     */
+    async execute(code, file = '<input>') {
+        this.failure = null;
+        this.lastError = null;
+
         try {
             if (!code || code.trim() === '') {
                 console.error(chalk.red('Execution error: file is empty or contains only whitespace/comments'));
+                this.failure = 'validation';
                 return false;
             }
 
-            const processedCode = this.processRequires(code);
-
-            const validationErrors = this.validateCode(processedCode);
-            if (validationErrors.length > 0) {
-                console.error(chalk.red('Validation errors found:'));
-                validationErrors.forEach(err => console.error(chalk.yellow(' - ' + err)));
+            const program = this.parse(code, file);
+            if (program.errors.length > 0) {
+                this.reportValidationErrors(program.errors, file, code);
+                this.failure = 'validation';
                 return false;
             }
 
-            const lines = processedCode.split('\n').filter(line => {
-                const trimmed = line.trim();
-                return trimmed !== '' && !trimmed.startsWith('#');
-            });
+            const run = { aborted: null }; // Set to the ExecutionAborted once over the timeout or budget
+            this.instructionCount = 0;
+            this.deadline = this.timeout ? Date.now() + this.timeout : null;
 
-            let i = 0;
-            while (i < lines.length && !this.shouldExit) {
-                i = await this.processLine(lines, i);
-            }
+            await this.withDeadline(runContext.run(run, () => this.executeBlock(program.body)), run);
 
             return true;
         } catch (error) {
-            console.error(chalk.red('Execution error:'), error.message);
+            this.reportUncaught(error);
+            this.failure = error instanceof ExecutionAborted ? 'aborted' : 'runtime';
+            this.lastError = error;
             return false;
+        } finally {
+            // Statements run later outside execute() (REPL entries) have no deadline
+            this.deadline = null;
         }
     }
 
     /**
-     * Process §require[file] directives by loading and inlining file content
-     * @param {string} code - The code to process
-     * @returns {string} - Code with requires resolved
+     * Print parse errors with their source snippets
+     * @param {array} errors - Parse errors: { message, line, column }
+     * @param {string} file - File name used in the locations
+     * @param {string} code - Source text
      */
-    processRequires(code) {
-        const requireRegex = /§require\[([^\]]+)\]/g;
-        let processedCode = code;
-        let match;
+    reportValidationErrors(errors, file, code) {
+        console.error(chalk.red('Validation errors found:'));
+        errors.forEach(err => {
+            console.error(chalk.yellow(' - ' + err.message));
+            console.error(chalk.gray(formatLocation({ file, line: err.line, column: err.column }, code)));
+        });
+    }
 
-        while ((match = requireRegex.exec(code)) !== null) {
-            const filePath = this.resolveRequirePath(match[1]);
+    /**
+     * Print an error that ended a run: an abort, an uncaught Elios error with its stack, or an internal error
+     * @param {Error} error
+     */
+    reportUncaught(error) {
+        if (error instanceof ExecutionAborted) {
+            console.error(chalk.red(`Aborted: ${error.message}`));
+            if (error.loc) {
+                console.error(chalk.gray(formatLocation(error.loc, this.sources.get(error.loc.file))));
+            }
+        } else if (error instanceof EliosError) {
+            console.error(chalk.red(`Uncaught ${error.type}: ${error.message}`));
+            if (error.line !== null) {
+                console.error(chalk.gray(formatLocation(error, this.sources.get(error.file))));
+            }
+            if (error.eliosStack) {
+                console.error(chalk.gray(this.formatStack(error.eliosStack)));
+            }
+        } else {
+            console.error(chalk.red('Execution error:'), error.message);
+        }
+    }
 
-            try {
-                // Check for circular dependencies
-                if (this.loadedFiles.has(filePath)) {
-                    if (this.debug) {
-                        console.log(chalk.yellow(`[DEBUG REQUIRE] Circular dependency detected: ${filePath}`));
-                    }
-                    processedCode = processedCode.replace(match[0], '# Circular require skipped');
-                    continue;
-                }
+    /**
+     * Parse Elios code into an AST
+     * @param {string} code - The code to parse
+     * @param {string|null} file - File name recorded in the node locations
+     * @returns {Object} - Program node with its parse errors
+     */
+    parse(code, file = null) {
+        if (file) {
+            this.sources.set(file, code);
+        }
+        return new Parser().parse(code, file);
+    }
 
-                // Check file existence
-                if (!fs.existsSync(filePath)) {
-                    console.error(chalk.red(`[ERROR] File not found: ${filePath}`));
-                    return processedCode;
-                }
+    /**
+     * Print a runtime error with the location of the statement being executed
+     * @param {string} message - Error message
+     */
+    reportError(message) {
+        console.error(chalk.red(message));
+        if (this.currentLoc) {
+            console.error(chalk.gray(formatLocation(this.currentLoc, this.sources.get(this.currentLoc.file))));
+        }
+    }
 
-                // Mark file as loaded
-                this.loadedFiles.add(filePath);
+    /**
+     * Settle with the run, or reject when the timeout expires while it waits (§sleep, async plugins).
+     * Busy code is stopped by the checks in tick().
+     * @param {Promise} running - The running program
+     * @param {Object} run - Its token, see runContext
+     * @returns {Promise}
+     */
+    withDeadline(running, run) {
+        if (this.deadline === null) {
+            return running;
+        }
 
-                // Read and process the file
-                const fileContent = fs.readFileSync(filePath, 'utf8');
-                
-                if (this.debug) {
-                    console.log(chalk.blue(`[DEBUG REQUIRE] Loading: ${filePath}`));
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                try {
+                    this.abort('timeout', `Timed out after ${this.timeout}ms`, run);
+                } catch (error) {
+                    reject(error);
                 }
+            }, Math.max(0, this.deadline - Date.now()));
+        });
+
+        // The abandoned run stops at its next statement or built-in call, as its token is aborted
+        running.catch(() => {});
+        return Promise.race([running, expired]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * @returns {ExecutionAborted|null} - Why the run the calling code belongs to was stopped, if it was
+     */
+    currentAbort() {
+        const run = runContext.getStore();
+        return run ? run.aborted : null;
+    }
+
+    /**
+     * Count one instruction and stop the run when it is over its budget or deadline
+     */
+    tick() {
+        const aborted = this.currentAbort();
+        if (aborted) {
+            throw aborted;
+        }
+        if (this.maxInstructions !== null && ++this.instructionCount > this.maxInstructions) {
+            this.abort('instructions', `Instruction budget of ${this.maxInstructions} exhausted`);
+        }
+        if (this.deadline !== null && Date.now() > this.deadline) {
+            this.abort('timeout', `Timed out after ${this.timeout}ms`);
+        }
+    }
+
+    /**
+     * Stop the run: its later statements throw the same error
+     * @param {string} reason - 'timeout' or 'instructions'
+     * @param {string} message - Error message
+     * @param {Object} run - Token of the run to stop, by default the calling code's
+     */
+    abort(reason, message, run = runContext.getStore()) {
+        const loc = this.currentLoc;
+        const where = loc ? ` while executing ${loc.file || '<input>'}:${loc.line}` : '';
+        const error = new ExecutionAborted(reason, message + where, loc);
+        if (run) {
+            run.aborted = error;
+        }
+        throw error;
+    }
 
-                // Recursively process requires in the loaded file
-                const processedContent = this.processRequires(fileContent);
+    /**
+     * Milliseconds left before the timeout, or null without one
+     * @returns {number|null}
+     */
+    remainingTime() {
+        return this.deadline === null ? null : Math.max(0, this.deadline - Date.now());
+    }
 
-                // Replace the require directive with the file content
-                processedCode = processedCode.replace(match[0], processedContent);
-            } catch (error) {
-                console.error(chalk.red(`[ERROR] Failed to load file: ${error.message}`));
-                return processedCode;
+    /**
+     * Report a loop or recursion limit: an error message, or a LimitError when limits are fatal
+     * @param {string} message - Error message
+     */
+    limitExceeded(message) {
+        if (this.fatalLimits) {
+            throw new EliosError('LimitError', message);
+        }
+        this.reportError(`Error: ${message}`);
+    }
+
+    /**
+     * Print a [DEBUG ...] error line followed by the current stack trace
+     * @param {string} message - Debug message
+     */
+    debugError(message) {
+        console.log(chalk.red(message));
+        console.log(chalk.gray(this.formatStack(this.captureStack())));
+    }
+
+    /**
+     * Describe the active frames, innermost first. Each line names a frame and the
+     * position it has reached: the current statement for the innermost frame, the
+     * place where the next frame was entered for the others.
+     * @returns {array} - Lines such as 'at §greet (main.elios:4:5)'
+     */
+    captureStack() {
+        const describe = loc => (loc ? `${loc.file || '<input>'}:${loc.line}:${loc.column}` : 'unknown location');
+        return this.stackFrames().map(frame => `at ${frame.name} (${frame.builtin ? 'built-in' : describe(frame.loc)})`);
+    }
+
+    /**
+     * The frames behind captureStack(), innermost first, ending with <main>
+     * @returns {array} - { name, loc, scope, builtin }: the position each frame has reached
+     *   and its innermost scope; built-in frames have neither
+     */
+    stackFrames() {
+        const frames = [];
+        let loc = this.currentLoc;
+        let scope = this.scope;
+
+        for (let i = this.callStack.length - 1; i >= 0; i--) {
+            const frame = this.callStack[i];
+            // Built-ins have no source of their own; the statement that called them is the next frame
+            if (frame.builtin) {
+                frames.push({ name: frame.name, loc: null, scope: null, builtin: true });
+                continue;
             }
+            frames.push({ name: frame.name, loc, scope, builtin: false });
+            loc = frame.callerLoc;
+            scope = frame.callerScope;
         }
+        frames.push({ name: '<main>', loc, scope, builtin: false });
 
-        return processedCode;
+        return frames;
+    }
+
+    formatStack(lines) {
+        return ['Stack trace:', ...lines.map(line => '    ' + line)].join('\n');
     }
 
     /**
-     * Resolve a require path to an absolute file path
-     * @param {string} filePath - The path provided to §require
-     * @returns {string} - Absolute file path
+     * Record the stack on an error the first time it passes through a frame
+     * @param {Error} error
      */
-    resolveRequirePath(filePath) {
+    attachStack(error) {
+        if (error && typeof error === 'object' && !error.eliosStack) {
+            error.eliosStack = this.captureStack();
+        }
+    }
+
+    /**
+     * Run code inside a stack frame
+     * @param {string} name - Frame name shown in stack traces
+     * @param {function} fn - Async function to run
+     */
+    async withFrame(name, fn) {
+        this.callStack.push({ name, callerLoc: this.currentLoc, callerScope: this.scope });
+        try {
+            return await fn();
+        } catch (error) {
+            this.attachStack(error);
+            throw error;
+        } finally {
+            this.callStack.pop();
+        }
+    }
+
+    /**
+     * Call a built-in or plugin function in its own stack frame
+     * @param {string} name - Function name
+     * @param {string} args - Raw argument text
+     * @returns {*} - The handler's result (a Promise for async handlers)
+     */
+    callBuiltin(name, args) {
+        const frame = { name: `§${name}`, callerLoc: this.currentLoc, callerScope: this.scope, builtin: true };
+        const leave = () => {
+            const index = this.callStack.lastIndexOf(frame);
+            if (index !== -1) {
+                this.callStack.splice(index, 1);
+            }
+        };
+        const fail = error => {
+            this.attachStack(error);
+            throw error;
+        };
+        let result;
+
+        // A run abandoned after its timeout may resume in the middle of a statement
+        const aborted = this.currentAbort();
+        if (aborted) {
+            throw aborted;
+        }
+
+        this.callStack.push(frame);
+        try {
+            result = this.functions[name](args);
+        } catch (error) {
+            this.attachStack(error);
+            leave();
+            throw error;
+        }
+
+        // Async handlers keep their frame until they settle; it is removed by identity,
+        // as frames pushed meanwhile may still be on top of it
+        if (result instanceof Promise) {
+            return result.catch(fail).finally(leave);
+        }
+        leave();
+        return result;
+    }
+
+    /**
+     * Call a built-in where its value is needed right away, e.g. nested in an argument.
+     * Async built-ins are awaited by withCallResults() before the text gets here; one
+     * that is still left (or a plugin returning a Promise) cannot give a value.
+     * @param {string} name - Function name
+     * @param {string} args - Raw argument text
+     * @returns {*} - The handler's result
+     * @throws {EliosError} - When the handler is asynchronous
+     */
+    callBuiltinSync(name, args) {
+        const asyncError = () => new EliosError('RuntimeError', `§${name} is asynchronous and cannot be used as a value here`);
+        if (this.isAsyncBuiltin(name)) {
+            throw asyncError();
+        }
+
+        const result = this.callBuiltin(name, args);
+        if (result instanceof Promise) {
+            result.catch(() => {}); // Its failure is reported through the error below
+            throw asyncError();
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} name - Function name
+     * @returns {boolean} - true for async built-ins and plugin functions (§sleep, §require, §import...)
+     */
+    isAsyncBuiltin(name) {
+        const handler = this.functions[name];
+        return Boolean(handler) && handler.constructor.name === 'AsyncFunction';
+    }
+
+    /**
+     * Run a §require[file] directive: the file is executed once, in its own file scope
+     * @param {string} file - The path provided to §require, relative to the requiring file
+     * @throws {EliosError} - FileNotFoundError when the file does not exist
+     */
+    async requireFile(file) {
+        // Like §import, relative to the requiring file rather than the working directory
+        const filePath = this.resolveRequirePath(file, this.currentDir());
+
+        // Check for circular dependencies and repeated requires
+        if (this.loadedFiles.has(filePath)) {
+            if (this.debug) {
+                console.log(chalk.yellow(`[DEBUG REQUIRE] Already loaded, skipping: ${filePath}`));
+            }
+            return;
+        }
+
+        if (!fs.existsSync(filePath)) {
+            throw new EliosError('FileNotFoundError', `Required file not found: ${path.relative(process.cwd(), filePath) || filePath}`);
+        }
+
+        // Mark file as loaded
+        this.loadedFiles.add(filePath);
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG REQUIRE] Loading: ${filePath}`));
+        }
+
+        // Errors in required files point into them, relative to the working directory
+        const displayPath = path.relative(process.cwd(), filePath) || filePath;
+        const program = this.parse(fs.readFileSync(filePath, 'utf8'), displayPath);
+        if (program.errors.length > 0) {
+            const details = program.errors.map(err => err.toString()).join('; ');
+            const error = new EliosError('SyntaxError', `Invalid code in required file ${displayPath}: ${details}`, program.errors[0].line);
+            error.column = program.errors[0].column;
+            error.file = displayPath;
+            throw error;
+        }
+
+        const scope = new Scope('file', this.globalScope, filePath);
+        await this.withFrame(`§require ${displayPath}`, () => this.runInScope(scope, () => this.executeBlock(program.body)));
+    }
+
+    /**
+     * Run an §import[path; alias] directive. A module runs once, in its own module scope;
+     * later imports of the same file get the cached exports.
+     * @param {string} file - The path provided to §import, relative to the importing file
+     * @returns {Promise<Object>} - Module record: { path, scope, functions, exportNames, exports, exportedFunctions, loaded }
+     */
+    async importModule(file) {
+        const filePath = this.resolveRequirePath(file, this.currentDir());
+        const displayPath = path.relative(process.cwd(), filePath) || filePath;
+        const cached = this.modules.get(filePath);
+
+        if (cached) {
+            if (!cached.loaded) {
+                throw new EliosError('ImportError', `Circular import of ${displayPath}`);
+            }
+            if (this.debug) {
+                console.log(chalk.yellow(`[DEBUG IMPORT] Using cached exports of ${displayPath}`));
+            }
+            return cached;
+        }
+
+        if (!fs.existsSync(filePath)) {
+            throw new EliosError('ImportError', `Module not found: ${displayPath}`);
+        }
+
+        const program = this.parse(fs.readFileSync(filePath, 'utf8'), displayPath);
+        if (program.errors.length > 0) {
+            const details = program.errors.map(err => err.toString()).join('; ');
+            const error = new EliosError('SyntaxError', `Invalid code in module ${displayPath}: ${details}`, program.errors[0].line);
+            error.column = program.errors[0].column;
+            error.file = displayPath;
+            throw error;
+        }
+
+        const module = {
+            path: filePath,
+            scope: new Scope('module', null, displayPath), // Modules don't see the importer's variables
+            functions: new Map(), // Every §func of the module; only exported ones are reachable from outside
+            exportNames: new Set(),
+            exports: new Map(), // Exported variables, bound to the import alias
+            exportedFunctions: new Set(),
+            loaded: false
+        };
+        this.modules.set(filePath, module);
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG IMPORT] Loading module: ${displayPath}`));
+        }
+
+        const previousModule = this.currentModule;
+        this.currentModule = module;
+        try {
+            await this.withFrame(`§import ${displayPath}`, () => this.runInScope(module.scope, () => this.executeBlock(program.body)));
+        } catch (error) {
+            // A failed module can be imported again
+            this.modules.delete(filePath);
+            throw error;
+        } finally {
+            this.currentModule = previousModule;
+        }
+
+        // §exit in the module ends the program; its exports are never used
+        if (this.shouldExit) {
+            this.modules.delete(filePath);
+            return module;
+        }
+
+        for (const name of module.exportNames) {
+            if (module.functions.has(name)) {
+                module.exportedFunctions.add(name);
+            } else if (module.scope.vars.has(name)) {
+                module.exports.set(name, module.scope.vars.get(name));
+            } else {
+                this.modules.delete(filePath);
+                throw new EliosError('ImportError', `Module ${displayPath} exports '${name}' but does not define it`);
+            }
+        }
+
+        module.loaded = true;
+        this.namespaces.set(module.exports, module);
+        return module;
+    }
+
+    /**
+     * Directory of the file being executed, used to resolve §require and §import paths
+     * @returns {string}
+     */
+    currentDir() {
+        const file = this.currentLoc && this.currentLoc.file;
+        return file && this.sources.has(file) && file !== '<input>'
+            ? path.dirname(path.resolve(file))
+            : process.cwd();
+    }
+
+    /**
+     * Resolve a require path to an absolute file path, following the module search path
+     * @param {string} filePath - The path provided to §require or §import
+     * @param {string} baseDir - Directory relative paths start from
+     * @returns {string} - Absolute file path; the path under baseDir when no module matches
+     */
+    resolveRequirePath(filePath, baseDir = process.cwd()) {
+        const found = resolveModule(filePath, baseDir);
+        if (found) {
+            return found;
+        }
+
         filePath = filePath.trim();
 
         // Add .elios extension if not present
@@ -192,382 +666,651 @@ class EliosInterpreter {
 
         // Make absolute path
         if (!path.isAbsolute(filePath)) {
-            filePath = path.join(process.cwd(), filePath);
+            filePath = path.join(baseDir, filePath);
         }
 
         return filePath;
     }
 
-    validateCode(code) {
-        const lines = code.split('\n');
-        const stack = [];
-        const errors = [];
-
-        for (let idx = 0; idx < lines.length; idx++) {
-            const raw = lines[idx];
-            const line = raw.trim();
-            if (line === '' || line.startsWith('#')) continue;
-
-            if (line.startsWith('§if[')) {
-                stack.push({ type: 'if', line: idx + 1 });
-            } else if (line.startsWith('§while[')) {
-                stack.push({ type: 'while', line: idx + 1 });
-            } else if (line.startsWith('§for[')) {
-                stack.push({ type: 'for', line: idx + 1 });
-            } else if (line.startsWith('§endif')) {
-                if (stack.length === 0) {
-                    errors.push(`Unmatched §endif at line ${idx + 1}`);
-                } else {
-                    const top = stack[stack.length - 1];
-                    if (top.type !== 'if') {
-                        errors.push(`Mismatched §endif at line ${idx + 1}, expected end of §${top.type} started at line ${top.line}`);
-                    } else {
-                        stack.pop();
-                    }
-                }
-            } else if (line.startsWith('§endwhile')) {
-                if (stack.length === 0) {
-                    errors.push(`Unmatched §endwhile at line ${idx + 1}`);
-                } else {
-                    const top = stack[stack.length - 1];
-                    if (top.type !== 'while') {
-                        errors.push(`Mismatched §endwhile at line ${idx + 1}, expected end of §${top.type} started at line ${top.line}`);
-                    } else {
-                        stack.pop();
-                    }
-                }
-            } else if (line.startsWith('§endfor')) {
-                if (stack.length === 0) {
-                    errors.push(`Unmatched §endfor at line ${idx + 1}`);
-                } else {
-                    const top = stack[stack.length - 1];
-                    if (top.type !== 'for') {
-                        errors.push(`Mismatched §endfor at line ${idx + 1}, expected end of §${top.type} started at line ${top.line}`);
-                    } else {
-                        stack.pop();
-                    }
-                }
-            } else if (line.startsWith('§elseif[') || line.startsWith('§else')) {
-                if (stack.length === 0 || stack[stack.length - 1].type !== 'if') {
-                    const token = line.startsWith('§elseif[') ? '§elseif' : '§else';
-                    errors.push(`${token} at line ${idx + 1} without matching §if`);
-                }
-            }
+    /**
+     * Run code with the given scope as the innermost scope
+     * @param {Scope} scope - Scope to enter
+     * @param {function} fn - Async function to run inside the scope
+     */
+    async runInScope(scope, fn) {
+        const previous = this.scope;
+        this.scope = scope;
+
+        try {
+            return await fn();
+        } finally {
+            this.scope = previous;
         }
+    }
+
+    /**
+     * Execute statements in a new block scope
+     * @param {array} nodes - Statement nodes
+     * @param {string} label - Block type, for debug output
+     */
+    async executeScopedBlock(nodes, label) {
+        await this.runInScope(new Scope('block', this.scope, label), () => this.executeBlock(nodes));
+    }
 
-        while (stack.length > 0) {
-            const top = stack.pop();
-            errors.push(`Unclosed §${top.type} starting at line ${top.line}`);
+    /**
+     * Execute a list of statement nodes, stopping early on exit, break, continue or return
+     * @param {array} nodes - Statement nodes
+     */
+    async executeBlock(nodes) {
+        for (const node of nodes) {
+            if (this.shouldExit || this.shouldBreak || this.shouldContinue || this.shouldReturn) {
+                break;
+            }
+            await this.executeNode(node);
         }
+    }
+
+    async executeNode(node) {
+        const previousLoc = this.currentLoc;
+        this.currentLoc = node.loc;
 
-        return errors;
+        try {
+            this.tick();
+            if (this.debugHook) {
+                await this.debugHook(node);
+                if (this.shouldExit) return;
+            }
+            switch (node.type) {
+                case 'Call':
+                    return await this.executeCall(node);
+                case 'If':
+                    return await this.executeIf(node);
+                case 'While':
+                    return await this.executeWhile(node);
+                case 'For':
+                    return await this.executeFor(node);
+                case 'Foreach':
+                    return await this.executeForeach(node);
+                case 'Function':
+                    return this.defineFunction(node);
+                case 'Try':
+                    return await this.executeTry(node);
+                case 'Switch':
+                    return await this.executeSwitch(node);
+                case 'Test':
+                    return await this.executeTest(node);
+                default:
+                    throw new Error(`Unknown statement type: ${node.type}`);
+            }
+        } catch (error) {
+            if (error instanceof ExecutionAborted) {
+                throw error;
+            }
+            const eliosError = EliosError.from(error, node.loc);
+            this.attachStack(eliosError);
+            throw eliosError;
+        } finally {
+            this.currentLoc = previousLoc;
+        }
     }
 
-    async processLine(lines, index) {
-        const line = lines[index].trim();
+    async executeIf(node) {
+        for (const branch of node.branches) {
+            if (await this.withCallResults(branch.condition, condition => this.evaluateCondition(condition))) {
+                await this.executeScopedBlock(branch.body, 'if');
+                return;
+            }
+        }
 
-        if (line.startsWith('§if[')) {
-            return await this.processCondition(lines, index);
-        } else if (line.startsWith('§while[')) {
-            return await this.processWhile(lines, index);
-        } else if (line.startsWith('§for[')) {
-            return await this.processFor(lines, index);
-        } else {
-            await this.executeLine(line);
-            return index + 1;
+        if (node.alternate) {
+            await this.executeScopedBlock(node.alternate.body, 'else');
         }
     }
 
-    async processCondition(lines, startIndex) {
-        const ifLine = lines[startIndex].trim();
-        const ifMatch = ifLine.match(/^§if\[(.*)\]$/);
-        if (!ifMatch) return startIndex + 1;
+    async executeWhile(node) {
+        let iterationCount = 0;
+        const maxIterations = node.max || this.maxIterations || 1000;
 
-        const mainCondition = ifMatch[1];
-        const mainResult = this.evaluateCondition(mainCondition);
+        while (!this.shouldExit && !this.shouldReturn) {
+            if (!await this.withCallResults(node.condition, condition => this.evaluateCondition(condition))) {
+                break;
+            }
 
-        let currentIndex = startIndex + 1;
-        let blockExecuted = mainResult;
+            // Only a loop that would go on is over the limit; one ending after exactly max iterations is not
+            if (iterationCount >= maxIterations) {
+                this.limitExceeded(`While loop exceeded maximum iterations (${maxIterations})`);
+                break;
+            }
 
-        if (mainResult) {
-            while (currentIndex < lines.length && !this.shouldExit && !this.shouldBreak && !this.shouldContinue) {
-                const line = lines[currentIndex].trim();
-                if (line.startsWith('§endif')) {
-                    return currentIndex + 1;
-                } else if (line.startsWith('§elseif[') || line.startsWith('§else')) {
-                    while (currentIndex < lines.length && !lines[currentIndex].trim().startsWith('§endif')) {
-                        currentIndex++;
-                    }
-                    return currentIndex < lines.length ? currentIndex + 1 : currentIndex;
-                } else if (line.startsWith('§if[')) {
-                    currentIndex = await this.processCondition(lines, currentIndex);
-                } else {
-                    await this.executeLine(line);
-                    currentIndex++;
-
-                    // Vérifier break/continue après l'exécution
-                    if (this.shouldBreak || this.shouldContinue) {
-                        break;
-                    }
-                }
+            this.tick();
+            this.loopDepth++;
+            try {
+                await this.withFrame(`§while (iteration ${iterationCount + 1})`, () => this.executeScopedBlock(node.body, 'while'));
+            } finally {
+                this.loopDepth--;
             }
-        } else {
-            while (currentIndex < lines.length && !this.shouldExit && !this.shouldBreak && !this.shouldContinue) {
-                const line = lines[currentIndex].trim();
-
-                if (line.startsWith('§endif')) {
-                    return currentIndex + 1;
-                } else if (line.startsWith('§elseif[')) {
-                    const elseifMatch = line.match(/^§elseif\[(.*)\]$/);
-                    if (elseifMatch && !blockExecuted) {
-                        const elseifCondition = elseifMatch[1];
-                        if (this.evaluateCondition(elseifCondition)) {
-                            blockExecuted = true;
-                            currentIndex++;
-                            while (currentIndex < lines.length && !this.shouldExit && !this.shouldBreak && !this.shouldContinue) {
-                                const innerLine = lines[currentIndex].trim();
-                                if (innerLine.startsWith('§endif') || innerLine.startsWith('§elseif[') || innerLine.startsWith('§else')) {
-                                    break;
-                                } else if (innerLine.startsWith('§if[')) {
-                                    currentIndex = await this.processCondition(lines, currentIndex);
-                                } else {
-                                    await this.executeLine(innerLine);
-                                    currentIndex++;
-
-                                    // Vérifier break/continue après l'exécution
-                                    if (this.shouldBreak || this.shouldContinue) {
-                                        break;
-                                    }
-                                }
-                            }
-                            continue;
-                        }
-                    }
-                    currentIndex++;
-                } else if (line.startsWith('§else')) {
-                    if (!blockExecuted) {
-                        blockExecuted = true;
-                        currentIndex++;
-                        while (currentIndex < lines.length && !this.shouldExit && !this.shouldBreak && !this.shouldContinue) {
-                            const innerLine = lines[currentIndex].trim();
-                            if (innerLine.startsWith('§endif')) {
-                                break;
-                            } else if (innerLine.startsWith('§if[')) {
-                                currentIndex = await this.processCondition(lines, currentIndex);
-                            } else {
-                                await this.executeLine(innerLine);
-                                currentIndex++;
-
-                                // Vérifier break/continue après l'exécution
-                                if (this.shouldBreak || this.shouldContinue) {
-                                    break;
-                                }
-                            }
-                        }
-                    } else {
-                        currentIndex++;
-                    }
-                } else if (line.startsWith('§if[')) {
-                    let depth = 1;
-                    currentIndex++;
-                    while (currentIndex < lines.length && depth > 0 && !this.shouldExit && !this.shouldBreak && !this.shouldContinue) {
-                        const subLine = lines[currentIndex].trim();
-                        if (subLine.startsWith('§if[')) depth++;
-                        if (subLine.startsWith('§endif')) depth--;
-                        currentIndex++;
-                    }
-                } else {
-                    currentIndex++;
-                }
+            iterationCount++;
+
+            if (this.debug) {
+                console.log(chalk.blue(`[DEBUG WHILE] Iteration ${iterationCount}, condition: ${node.condition}`));
             }
-        }
 
-        return currentIndex;
+            this.shouldContinue = false;
+            if (this.shouldBreak) {
+                this.shouldBreak = false;
+                break;
+            }
+        }
     }
 
-    async processWhile(lines, startIndex) {
-        const whileLine = lines[startIndex].trim();
-        const whileMatch = whileLine.match(/^§while\[(.*)\]$/);
-        if (!whileMatch) return startIndex + 1;
+    async executeFor(node) {
+        const varName = node.variable;
+        const bound = text => this.withCallResults(text, resolved => parseFloat(this.evaluateText(resolved)));
+        const startVal = await bound(node.from);
+        const endVal = await bound(node.to);
 
-        const condition = whileMatch[1];
-        let currentIndex = startIndex + 1;
+        // Inclusive ranges count down on their own when start is above end
+        const step = node.step ? await bound(node.step) : (node.inclusive && startVal > endVal ? -1 : 1);
 
-        let endWhileIndex = -1;
-        let tempIndex = currentIndex;
-        while (tempIndex < lines.length && endWhileIndex === -1) {
-            if (lines[tempIndex].trim().startsWith('§endwhile')) {
-                endWhileIndex = tempIndex;
-            }
-            tempIndex++;
+        if (isNaN(startVal) || isNaN(endVal) || isNaN(step)) {
+            this.reportError(`Error: §for bounds must be numbers: ${node.header.args}`);
+            return;
         }
-
-        if (endWhileIndex === -1) {
-            console.error(chalk.red('Error: §endwhile not found for §while'));
-            return lines.length;
+        if (step === 0) {
+            this.reportError('Error: §for step cannot be 0');
+            return;
         }
 
+        // Compute each value from the start instead of adding the step repeatedly, so 0.1 steps don't drift
+        const decimals = Math.max(countDecimals(startVal), countDecimals(step));
+        const valueAt = n => Number((startVal + n * step).toFixed(decimals));
+        const inRange = i => step > 0
+            ? (node.inclusive ? i <= endVal : i < endVal)
+            : (node.inclusive ? i >= endVal : i > endVal);
+
         let iterationCount = 0;
-        const maxIterations = 1000;
+        const maxIterations = node.max || this.maxIterations || 10000;
+
+        for (let i = valueAt(0); inRange(i) && iterationCount < maxIterations && !this.shouldExit && !this.shouldReturn; i = valueAt(iterationCount)) {
+            // The loop variable lives in the iteration's block scope
+            const scope = new Scope('block', this.scope, 'for');
+            scope.declare(varName, String(i));
+
+            this.tick();
+            this.loopDepth++;
+            try {
+                await this.withFrame(`§for (${varName}=${i})`, () => this.runInScope(scope, () => this.executeBlock(node.body)));
+            } finally {
+                this.loopDepth--;
+            }
+            iterationCount++;
+
+            if (this.debug) {
+                console.log(chalk.blue(`[DEBUG FOR] Iteration ${iterationCount}, ${varName}=${i}`));
+            }
 
-        while (this.evaluateCondition(condition) && iterationCount < maxIterations && !this.shouldExit) {
-            this.shouldBreak = false;
             this.shouldContinue = false;
+            if (this.shouldBreak) {
+                this.shouldBreak = false;
+                break;
+            }
+        }
 
-            let blockIndex = currentIndex;
+        if (iterationCount >= maxIterations && inRange(valueAt(iterationCount)) && !this.shouldExit && !this.shouldReturn) {
+            this.limitExceeded(`For loop exceeded maximum iterations (${maxIterations})`);
+        }
+    }
 
-            while (blockIndex < endWhileIndex && !this.shouldExit && !this.shouldBreak) {
-                const line = lines[blockIndex].trim();
+    async executeForeach(node) {
+        const collection = await this.withCallResults(node.collection, resolved => this.resolveValue(resolved));
+        const entries = this.iterationEntries(collection);
+        const [firstVar, secondVar] = node.variables;
 
-                if (this.shouldContinue) {
-                    break;
-                }
+        let iterationCount = 0;
+        // A collection always ends, so there is no cap without max=N or a configured limit
+        const maxIterations = node.max || this.maxIterations || Infinity;
 
-                if (line.startsWith('§if[')) {
-                    blockIndex = await this.processCondition(lines, blockIndex);
-                } else if (line.startsWith('§while[')) {
-                    blockIndex = await this.processWhile(lines, blockIndex);
-                } else {
-                    await this.executeLine(line);
-                    blockIndex++;
-                }
-                if (this.shouldBreak) {
-                    break;
-                }
+        for (const [key, value] of entries) {
+            if (this.shouldExit || this.shouldReturn) {
+                break;
             }
 
-            if (this.shouldBreak) {
+            if (iterationCount >= maxIterations) {
+                this.limitExceeded(`Foreach loop exceeded maximum iterations (${maxIterations})`);
                 break;
             }
 
+            // One variable gets the item (the key for maps); two get the index or key and the item
+            const scope = new Scope('block', this.scope, 'foreach');
+            if (secondVar) {
+                scope.declare(firstVar, key);
+                scope.declare(secondVar, value);
+            } else {
+                scope.declare(firstVar, isMap(collection) ? key : value);
+            }
+
+            this.tick();
+            this.loopDepth++;
+            try {
+                await this.withFrame(`§foreach (iteration ${iterationCount + 1})`, () => this.runInScope(scope, () => this.executeBlock(node.body)));
+            } finally {
+                this.loopDepth--;
+            }
             iterationCount++;
 
             if (this.debug) {
-                console.log(chalk.blue(`[DEBUG WHILE] Iteration ${iterationCount}, condition: ${condition}`));
+                console.log(chalk.blue(`[DEBUG FOREACH] Iteration ${iterationCount}, ${firstVar}=${formatValue(secondVar || isMap(collection) ? key : value)}`));
             }
-        }
 
-        this.shouldBreak = false;
-        this.shouldContinue = false;
+            this.shouldContinue = false;
+            if (this.shouldBreak) {
+                this.shouldBreak = false;
+                break;
+            }
+        }
+    }
 
-        if (iterationCount >= maxIterations) {
-            console.error(chalk.red('Error: While loop exceeded maximum iterations'));
+    /**
+     * Pairs iterated by §foreach: [index, item] for lists and [key, value] for maps.
+     * Text holding a JSON array or object is parsed first; other text gives its lines,
+     * or its characters when it is a single line.
+     * @param {*} collection - Value to iterate
+     * @returns {array} - [key, value] pairs, copied so the body may change the collection
+     */
+    iterationEntries(collection) {
+        if (isMap(collection)) {
+            return Array.from(collection.entries());
         }
 
-        return endWhileIndex + 1;
-    }
+        let items = isList(collection) ? collection : null;
+
+        if (!items) {
+            const text = formatValue(collection);
+            const trimmed = text.trim();
 
-    async processFor(lines, startIndex) {
-        const forLine = lines[startIndex].trim();
-        const forMatch = forLine.match(/^§for\[([^;]+);([^;]+);([^\]]+)\]$/);
-        if (!forMatch) return startIndex + 1;
+            if (/^\[[\s\S]*\]$|^\{[\s\S]*\}$/.test(trimmed)) {
+                try {
+                    const parsed = fromJson(JSON.parse(trimmed));
+                    if (isMap(parsed)) return Array.from(parsed.entries());
+                    items = parsed;
+                } catch (error) {
+                    // Not JSON, iterate the text itself
+                }
+            }
+
+            if (!items) {
+                items = text === '' ? [] : text.includes('\n') ? text.replace(/\r?\n$/, '').split(/\r?\n/) : Array.from(text);
+            }
+        }
 
-        const varName = forMatch[1].trim();
-        const startVal = parseFloat(this.evaluateNestedFunctions(forMatch[2].trim()));
-        const endVal = parseFloat(this.evaluateNestedFunctions(forMatch[3].trim()));
+        return items.map((item, index) => [String(index), item]);
+    }
 
-        let currentIndex = startIndex + 1;
+    async executeSwitch(node) {
+        const subject = await this.withCallResults(node.subject, resolved => this.resolveValue(resolved));
 
-        // Find §endfor
-        let endForIndex = -1;
-        let tempIndex = currentIndex;
-        while (tempIndex < lines.length && endForIndex === -1) {
-            if (lines[tempIndex].trim().startsWith('§endfor')) {
-                endForIndex = tempIndex;
+        for (const section of node.cases) {
+            for (const value of section.values) {
+                if (valuesEqual(subject, await this.withCallResults(value, resolved => this.resolveValue(resolved)))) {
+                    if (this.debug) {
+                        console.log(chalk.blue(`[DEBUG SWITCH] ${chalk.yellow(formatValue(subject))} matched §case[${section.header.args}]`));
+                    }
+                    await this.executeScopedBlock(section.body, 'case');
+                    return;
+                }
             }
-            tempIndex++;
         }
 
-        if (endForIndex === -1) {
-            console.error(chalk.red('Error: §endfor not found for §for'));
-            return lines.length;
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG SWITCH] ${chalk.yellow(formatValue(subject))} matched ${node.default ? '§default' : 'nothing'}`));
         }
 
-        // Execute loop iterations
-        let iterationCount = 0;
-        const maxIterations = 10000;
-
-        for (let i = startVal; i < endVal && iterationCount < maxIterations && !this.shouldExit; i++) {
-            // Set loop variable
-            this.variables.set(varName, String(i));
-
-            // Execute loop body
-            currentIndex = startIndex + 1;
-            while (currentIndex < endForIndex && !this.shouldExit && !this.shouldBreak) {
-                const line = lines[currentIndex].trim();
-                
-                if (line.startsWith('§if[')) {
-                    currentIndex = await this.processCondition(lines, currentIndex);
-                } else if (line.startsWith('§while[')) {
-                    currentIndex = await this.processWhile(lines, currentIndex);
-                } else if (line.startsWith('§for[')) {
-                    currentIndex = await this.processFor(lines, currentIndex);
-                } else if (line !== '' && !line.startsWith('#')) {
-                    await this.executeLine(line);
-                    currentIndex++;
-                } else {
-                    currentIndex++;
-                }
+        if (node.default) {
+            await this.executeScopedBlock(node.default.body, 'default');
+        }
+    }
 
-                if (this.shouldContinue) {
-                    this.shouldContinue = false;
-                    break;
-                }
-                if (this.shouldBreak) {
-                    break;
-                }
+    async executeTry(node) {
+        try {
+            await this.executeScopedBlock(node.body, 'try');
+        } catch (error) {
+            if (!node.handler || error instanceof ExecutionAborted) {
+                throw error;
             }
 
-            if (this.shouldBreak) {
-                this.shouldBreak = false;
-                break;
+            if (this.debug) {
+                console.log(chalk.blue(`[DEBUG TRY] Caught ${chalk.yellow(error.toString())}`));
             }
 
-            iterationCount++;
+            const scope = new Scope('block', this.scope, 'catch');
+            if (node.handler.variable) {
+                scope.declare(node.handler.variable, error.toMap());
+            }
+            await this.runInScope(scope, () => this.executeBlock(node.handler.body));
+        } finally {
+            if (node.finalizer && !this.shouldExit && !this.currentAbort()) {
+                await this.executeFinally(node.finalizer.body);
+            }
+        }
+    }
+
+    /**
+     * Run a §test[name] ... §endtest block and record its result in this.testRun.results.
+     * Outside `elios test` the block is skipped. A failed test does not stop the file:
+     * its error is recorded and the next statement runs. So does a test calling §exit.
+     * @param {Object} node - Test node
+     */
+    async executeTest(node) {
+        if (!this.testRun) {
+            return;
+        }
+
+        const name = this.evaluateText(node.name);
+        if (this.testRun.filter && !name.includes(this.testRun.filter)) {
+            return;
+        }
 
+        const result = { name, file: node.loc.file, line: node.loc.line, status: 'passed', error: null, output: [], duration: 0 };
+        const started = Date.now();
+        const fileOutput = this.logCapture;
+        this.logCapture = result.output;
+
+        try {
+            await this.withFrame(`§test ${name}`, () => this.executeScopedBlock(node.body, 'test'));
+            // §exit would quietly end the file, skipping the tests after this one
+            if (this.shouldExit) {
+                result.status = 'error';
+                result.error = new EliosError('ExitError', `§exit[${this.exitCode}] called in a test`);
+                this.shouldExit = false;
+                this.exitCode = 0;
+            }
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error;
+            // A timeout or exhausted budget ends the whole run
+            if (error instanceof ExecutionAborted) {
+                throw error;
+            }
             if (this.debug) {
-                console.log(chalk.blue(`[DEBUG FOR] Iteration ${iterationCount}, ${varName}=${i}`));
+                this.debugError(`[DEBUG TEST] ${name} failed: ${error.toString()}`);
             }
+        } finally {
+            // §return or §break at the top of a test only leaves the test
+            this.shouldReturn = false;
+            this.shouldBreak = false;
+            this.shouldContinue = false;
+            this.logCapture = fileOutput;
+            result.duration = Date.now() - started;
+            this.testRun.results.push(result);
         }
+    }
 
-        if (iterationCount >= maxIterations) {
-            console.error(chalk.red('Error: For loop exceeded maximum iterations'));
+    /**
+     * Run a §finally block even when the §try body left through §break, §continue or §return,
+     * then resume that jump unless the block made its own
+     * @param {array} nodes - Statement nodes
+     */
+    async executeFinally(nodes) {
+        const pending = {
+            shouldBreak: this.shouldBreak,
+            shouldContinue: this.shouldContinue,
+            shouldReturn: this.shouldReturn
+        };
+        this.shouldBreak = false;
+        this.shouldContinue = false;
+        this.shouldReturn = false;
+
+        await this.executeScopedBlock(nodes, 'finally');
+
+        if (!this.shouldBreak && !this.shouldContinue && !this.shouldReturn) {
+            Object.assign(this, pending);
         }
+    }
 
-        return endForIndex + 1;
+    /**
+     * Register a §func[name; param1; param2] ... §endfunc definition
+     * @param {Object} node - Function node
+     */
+    defineFunction(node) {
+        if (this.functions[node.name]) {
+            this.reportError(`[ERROR FUNC] Cannot redefine built-in function §${node.name}`);
+            return;
+        }
+
+        // Functions of a module stay private to it unless exported
+        const table = this.currentModule ? this.currentModule.functions : this.userFunctions;
+        table.set(node.name, {
+            name: node.name,
+            params: node.params,
+            body: node.body,
+            scope: this.scope, // Functions see the variables of the scope they are defined in
+            module: this.currentModule
+        });
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG FUNC] Defined ${chalk.yellow(node.name)}(${node.params.join(', ')})`));
+        }
     }
 
-    handleEndFor(args) {
-        // This is a no-op marker, real logic is in processFor
-        return;
+    /**
+     * Find the user function a call refers to: alias.name for an exported module
+     * function, otherwise the running module's own functions, then the program's
+     * @param {string} name - Called name
+     * @returns {Object|undefined} - Function record
+     */
+    findUserFunction(name) {
+        const dot = name.indexOf('.');
+        if (dot !== -1) {
+            const module = this.namespaces.get(this.scope.get(name.slice(0, dot)));
+            const funcName = name.slice(dot + 1);
+            return module && module.exportedFunctions.has(funcName) ? module.functions.get(funcName) : undefined;
+        }
+
+        if (this.currentModule && this.currentModule.functions.has(name)) {
+            return this.currentModule.functions.get(name);
+        }
+        return this.userFunctions.get(name);
     }
 
-    async executeLine(line) {
-        if (!line.startsWith('§') || this.shouldExit) {
+    /**
+     * Call a user-defined function
+     * Parameters are local variables of a new function scope
+     * @param {string} name - Function name
+     * @param {string} args - Raw argument text
+     * @returns {Promise<*>} - The value passed to §return, or an empty string
+     */
+    async callUserFunction(name, args) {
+        const func = this.findUserFunction(name);
+
+        if (this.callDepth >= this.maxDepth) {
+            this.limitExceeded(`Maximum call depth (${this.maxDepth}) exceeded in §${name}`);
+            return '';
+        }
+
+        const values = (args.trim() === '' ? [] : splitArgs(args)).map(arg => this.resolveValue(arg));
+
+        const scope = new Scope('function', func.scope, name);
+        func.params.forEach((param, idx) => {
+            scope.declare(param, values[idx] !== undefined ? values[idx] : '');
+        });
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG CALL] ${chalk.yellow(name)}(${values.map(formatValue).join(', ')})`));
+        }
+
+        const loopDepth = this.loopDepth;
+        const previousModule = this.currentModule;
+        this.callDepth++;
+        this.loopDepth = 0;
+        this.currentModule = func.module;
+        this.shouldReturn = false;
+        this.returnValue = '';
+
+        try {
+            await this.withFrame(`§${name}`, () => this.runInScope(scope, () => this.executeBlock(func.body)));
+        } finally {
+            this.callDepth--;
+            this.loopDepth = loopDepth;
+            this.currentModule = previousModule;
+        }
+
+        const result = this.returnValue;
+        this.shouldReturn = false;
+        this.returnValue = '';
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG CALL] ${chalk.yellow(name)} → ${chalk.green(formatValue(result))}`));
+        }
+
+        return result;
+    }
+
+    /**
+     * Evaluate the calls to user-defined functions and async built-ins (§sleep, §import...)
+     * in a piece of text, then run fn with the text. Other built-in calls are left for
+     * evaluateNestedFunctions, which is synchronous.
+     *
+     * Each result is bound to a hidden variable of the current scope and its call is
+     * replaced with a reference to it, so the result is read as one value: it is never
+     * run as Elios code nor split into expression operators. The variables are removed
+     * once fn has settled.
+     * @param {string} text - Text possibly containing §name[...] calls
+     * @param {function} fn - async (resolvedText) => result
+     * @returns {Promise<*>} - What fn returned
+     */
+    async withCallResults(text, fn) {
+        const bound = [];
+        try {
+            return await fn(await this.resolveUserCalls(text, bound));
+        } finally {
+            bound.forEach(({ scope, name }) => scope.vars.delete(name));
+        }
+    }
+
+    /**
+     * Replace the calls to user-defined functions and async built-ins with $references
+     * to their results. Use withCallResults(), which removes the variables afterwards.
+     * @param {string} text - Text possibly containing §name[...] calls
+     * @param {array} bound - Receives { scope, name } for each variable bound
+     * @returns {Promise<string>} - Text with those calls replaced
+     */
+    async resolveUserCalls(text, bound) {
+        if (!text.includes('§')) {
+            return text;
+        }
+
+        const callRegex = /§(\w+(?:\.\w+)?)\[/g;
+        let result = text;
+        let match;
+
+        while ((match = callRegex.exec(result)) !== null) {
+            const isUserCall = Boolean(this.findUserFunction(match[1]));
+            if (!isUserCall && !this.isAsyncBuiltin(match[1])) continue;
+
+            const openIndex = match.index + match[0].length - 1;
+            const closeIndex = findClosingBracket(result, openIndex);
+            if (closeIndex === -1) break;
+
+            const args = await this.resolveUserCalls(result.slice(openIndex + 1, closeIndex), bound);
+            const value = isUserCall
+                ? await this.callUserFunction(match[1], args)
+                : await this.callBuiltin(match[1], args);
+
+            const name = `__call${++this.callResultCount}`;
+            this.scope.declare(name, value === undefined ? '' : value);
+            bound.push({ scope: this.scope, name });
+
+            const reference = '$' + name;
+            result = result.slice(0, match.index) + reference + result.slice(closeIndex + 1);
+            callRegex.lastIndex = match.index + reference.length;
+        }
+
+        return result;
+    }
+
+    async executeCall(node) {
+        if (this.shouldExit) {
             return;
         }
 
-        const match = line.match(/^§(\w+)(?:\[(.*)\])?$/);
-        if (!match) {
+        const funcName = node.name;
+
+        // §assertThrows runs its argument itself, so it can catch what the argument throws
+        if (funcName === 'assertThrows') {
+            return await this.callBuiltin(funcName, node.args);
+        }
+
+        return await this.withCallResults(node.args, args => this.callFunction(node, args));
+    }
+
+    /**
+     * Run the function of a call statement once its arguments are resolved
+     * @param {Object} node - Call node
+     * @param {string} args - Arguments from withCallResults()
+     */
+    async callFunction(node, args) {
+        const funcName = node.name;
+
+        // A user function in the arguments may have called §exit
+        if (this.shouldExit) {
             return;
         }
 
-        const funcName = match[1];
-        const args = match[2] || '';
+        if (this.findUserFunction(funcName)) {
+            return await this.callUserFunction(funcName, args);
+        }
 
         if (this.functions[funcName]) {
-            const result = this.functions[funcName](args);
-            if (result instanceof Promise) {
-                await result;
-            }
-            return result;
+            return await this.callBuiltin(funcName, args);
+        }
+
+        if (funcName.includes('.')) {
+            this.reportError(`[ERROR IMPORT] §${funcName} is not an exported function`);
+            return;
+        }
+
+        if (this.debug) {
+            console.log(chalk.yellow(`[DEBUG] Unknown function §${funcName} at line ${node.loc.line}`));
+        }
+    }
+
+    /**
+     * Execute a single line of Elios code
+     * @param {string} line - The line to execute
+     */
+    async executeLine(line) {
+        const program = this.parse(line);
+        let result;
+
+        for (const node of program.body) {
+            if (this.shouldExit) break;
+            result = await this.executeNode(node);
         }
+
+        return result;
     }
     // Handlers and helpers (input, log, math, text, nested evaluation, variable replacement, etc.)
     // were moved to `lib/handlers.js` to split the interpreter into multiple files.
 }
 
+/**
+ * Number of digits after the decimal point
+ * @param {number} value
+ * @returns {number}
+ */
+function countDecimals(value) {
+    const text = String(value);
+    if (text.includes('e-')) {
+        return parseInt(text.split('e-')[1], 10);
+    }
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
 const handlers = require('./handlers');
-Object.assign(EliosInterpreter.prototype, handlers);
+const listHandlers = require('./list-handlers');
+const mapHandlers = require('./map-handlers');
+const moduleHandlers = require('./module-handlers');
+const testHandlers = require('./test-handlers');
+Object.assign(EliosInterpreter.prototype, handlers, listHandlers, mapHandlers, moduleHandlers, testHandlers);
 
 module.exports = EliosInterpreter;
\ No newline at end of file
@@ -0,0 +1,598 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { Parser } = require('./parser');
+const SyntaxValidator = require('./syntax-validator');
+const PluginLoader = require('./plugin-loader');
+const { resolveModule } = require('./module-path');
+const { splitArgs } = require('./utils');
+const { FUNCTION_DOCS, KEYWORD_DOCS } = require('./function-docs');
+const EliosLinter = require('../tools/lint');
+const EliosFormatter = require('../tools/format');
+const { encodeMessage, createMessageReader } = require('./protocol-stream');
+
+// LSP constants used below
+const SEVERITY = { error: 1, warning: 2 };
+const COMPLETION_KIND = { function: 3, variable: 6, keyword: 14 };
+const SYMBOL_KIND = { file: 1, module: 2, function: 12, variable: 13 };
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+// Calls whose first argument defines a variable
+const DEFINING_CALLS = ['var', 'local', 'for', 'catch'];
+
+/**
+ * Language server for Elios: `elios lsp`
+ *
+ * Speaks the Language Server Protocol over stdin/stdout. Open documents are kept
+ * in memory and re-analysed on every change:
+ * - diagnostics from SyntaxValidator and the linter (tools/lint.js)
+ * - formatting with the formatter (tools/format.js)
+ * - completion of § functions (built-in, user-defined, plugins, imported modules) and $variables
+ * - hover docs, go-to-definition for variables, functions and §require / §import targets
+ * - document symbols: functions, variables and loaded files
+ */
+class LanguageServer {
+    /**
+     * @param {Object} options
+     * @param {Stream} options.input - Where client messages come from
+     * @param {Stream} options.output - Where responses and notifications go
+     */
+    constructor(options = {}) {
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.documents = new Map(); // URI → { text, version, analysis }
+        this.pluginLoader = new PluginLoader(false);
+        this.shutdownRequested = false;
+    }
+
+    start() {
+        // Keep stdout for the protocol; anything else printed (plugin warnings...) goes to stderr
+        const write = this.output.write.bind(this.output);
+        this.writeMessage = text => write(text);
+        if (this.output === process.stdout) {
+            process.stdout.write = (chunk, ...rest) => process.stderr.write(chunk, ...rest);
+        }
+
+        this.input.on('data', createMessageReader(
+            message => this.dispatch(message),
+            error => process.stderr.write(`Invalid LSP message: ${error.message}\n`)
+        ));
+        this.input.on('end', () => process.exit(this.shutdownRequested ? 0 : 1));
+    }
+
+    send(message) {
+        this.writeMessage(encodeMessage({ jsonrpc: '2.0', ...message }));
+    }
+
+    notify(method, params) {
+        this.send({ method, params });
+    }
+
+    dispatch(message) {
+        const handler = HANDLERS[message.method];
+        const isRequest = message.id !== undefined;
+
+        if (!handler) {
+            // Unknown notifications are ignored, as the protocol asks
+            if (isRequest) {
+                this.send({ id: message.id, error: { code: METHOD_NOT_FOUND, message: `Unhandled method ${message.method}` } });
+            }
+            return;
+        }
+
+        try {
+            const result = handler.call(this, message.params || {});
+            if (isRequest) {
+                this.send({ id: message.id, result: result === undefined ? null : result });
+            }
+        } catch (error) {
+            if (isRequest) {
+                this.send({ id: message.id, error: { code: INTERNAL_ERROR, message: error.message } });
+            } else {
+                process.stderr.write(`[LSP ERROR] ${message.method}: ${error.message}\n`);
+            }
+        }
+    }
+
+    initialize(params) {
+        const root = params.rootUri ? fileURLToPath(params.rootUri) : (params.rootPath || process.cwd());
+        this.pluginLoader.loadPlugins(path.join(root, 'addons'));
+
+        return {
+            capabilities: {
+                textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+                completionProvider: { triggerCharacters: ['§', '$', '.'] },
+                hoverProvider: true,
+                definitionProvider: true,
+                documentSymbolProvider: true,
+                documentFormattingProvider: true
+            },
+            serverInfo: { name: 'elios-lsp', version: require('../package.json').version }
+        };
+    }
+
+    didOpen({ textDocument }) {
+        this.update(textDocument.uri, textDocument.text, textDocument.version);
+    }
+
+    didChange({ textDocument, contentChanges }) {
+        // Full sync: the last change holds the whole text
+        const change = contentChanges[contentChanges.length - 1];
+        if (change) {
+            this.update(textDocument.uri, change.text, textDocument.version);
+        }
+    }
+
+    didClose({ textDocument }) {
+        this.documents.delete(textDocument.uri);
+        this.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    }
+
+    update(uri, text, version) {
+        this.documents.set(uri, { text, version, analysis: analyze(text) });
+        this.notify('textDocument/publishDiagnostics', { uri, version, diagnostics: this.diagnostics(text) });
+    }
+
+    /**
+     * @param {string} uri
+     * @returns {Object} - The open document, { text, version, analysis }
+     */
+    document(uri) {
+        const document = this.documents.get(uri);
+        if (!document) {
+            throw new Error(`Document not open: ${uri}`);
+        }
+        return document;
+    }
+
+    /**
+     * Validator and linter messages, which start with 'Line N: ' when they have a line
+     * @param {string} text - Document text
+     * @returns {array} - LSP diagnostics
+     */
+    diagnostics(text) {
+        const lines = text.split(/\r?\n/);
+        const validation = new SyntaxValidator().validate(text);
+        const lint = new EliosLinter().lint(text);
+
+        const toDiagnostic = (message, severity, source) => {
+            const match = message.match(/^Line (\d+): ([\s\S]*)$/);
+            const line = match ? Math.min(parseInt(match[1], 10) - 1, lines.length - 1) : 0;
+            return {
+                range: { start: { line, character: 0 }, end: { line, character: lines[line].length } },
+                severity,
+                source,
+                message: match ? match[2] : message
+            };
+        };
+
+        return [
+            ...validation.errors.map(message => toDiagnostic(message, SEVERITY.error, 'elios')),
+            ...validation.warnings.map(message => toDiagnostic(message, SEVERITY.warning, 'elios')),
+            ...lint.errors.map(message => toDiagnostic(message, SEVERITY.error, 'elios-lint')),
+            ...lint.warnings.map(message => toDiagnostic(message, SEVERITY.warning, 'elios-lint'))
+        ];
+    }
+
+    formatting({ textDocument }) {
+        const { text, analysis } = this.document(textDocument.uri);
+        // The formatter follows the parsed blocks, so leave broken code alone
+        if (analysis.program.errors.length > 0) {
+            return [];
+        }
+
+        const formatted = new EliosFormatter().format(text);
+        if (formatted === text) {
+            return [];
+        }
+        return [{ range: { start: { line: 0, character: 0 }, end: analysis.positionAt(text.length) }, newText: formatted }];
+    }
+
+    completion({ textDocument, position }) {
+        const { analysis } = this.document(textDocument.uri);
+        const line = analysis.lines[position.line] || '';
+        const match = line.slice(0, position.character).match(/([§$])([\w.]*)$/);
+        if (!match) {
+            return [];
+        }
+
+        const [typed, sigil] = match;
+        const range = {
+            start: { line: position.line, character: position.character - typed.length },
+            end: position
+        };
+        const item = (name, kind, detail, documentation) => ({
+            label: sigil + name,
+            kind,
+            detail,
+            documentation,
+            filterText: sigil + name,
+            textEdit: { range, newText: sigil + name }
+        });
+
+        if (sigil === '$') {
+            const names = [...new Set(analysis.variables.map(variable => variable.name))];
+            return names.map(name => item(name, COMPLETION_KIND.variable));
+        }
+
+        const items = [];
+        Object.entries(FUNCTION_DOCS).forEach(([name, doc]) => items.push(item(name, COMPLETION_KIND.function, doc.signature, doc.description)));
+        Object.entries(KEYWORD_DOCS).forEach(([name, doc]) => items.push(item(name, COMPLETION_KIND.keyword, doc.signature, doc.description)));
+        analysis.functions.forEach(func => items.push(item(func.name, COMPLETION_KIND.function, signatureOf(func), func.doc)));
+        this.pluginLoader.getPluginInfo().forEach(plugin => {
+            plugin.functions.forEach(name => items.push(item(name, COMPLETION_KIND.function, `${plugin.name} ${plugin.version}`, plugin.description)));
+        });
+
+        // Functions of §required files, and §alias.fn for the exported functions of imported modules
+        const file = this.filePath(textDocument.uri);
+        analysis.loads.forEach(load => {
+            const module = this.moduleAnalysis(load.target, file);
+            if (!module) return;
+            module.functions
+                .filter(func => load.kind === 'require' || module.exports.has(func.name))
+                .forEach(func => {
+                    const name = load.kind === 'require' ? func.name : `${load.alias}.${func.name}`;
+                    items.push(item(name, COMPLETION_KIND.function, signatureOf(func), func.doc));
+                });
+        });
+
+        return items;
+    }
+
+    hover({ textDocument, position }) {
+        const { analysis } = this.document(textDocument.uri);
+        const word = analysis.wordAt(position);
+        if (!word) {
+            return null;
+        }
+
+        const markdown = this.describe(word, analysis, this.filePath(textDocument.uri), position);
+        return markdown ? { contents: { kind: 'markdown', value: markdown }, range: word.range } : null;
+    }
+
+    /**
+     * @param {Object} word - From analysis.wordAt()
+     * @returns {string|null} - Markdown hover text
+     */
+    describe(word, analysis, file, position) {
+        const code = text => '```elios\n' + text + '\n```';
+
+        if (word.sigil === '$') {
+            const definition = findVariable(analysis, word.base, position.line);
+            if (!definition) return null;
+            return `${code('$' + word.base)}\nDefined at line ${definition.range.start.line + 1}: \`${analysis.lines[definition.range.start.line].trim()}\``;
+        }
+
+        const doc = FUNCTION_DOCS[word.name] || KEYWORD_DOCS[word.name];
+        if (doc) {
+            return `${code(doc.signature)}\n${doc.description}`;
+        }
+
+        const func = this.findFunction(word, analysis, file);
+        if (func) {
+            const origin = func.file ? ` in ${path.basename(func.file)}` : '';
+            return `${code(signatureOf(func))}\n${func.doc ? func.doc + '\n\n' : ''}Defined at line ${func.range.start.line + 1}${origin}`;
+        }
+
+        const plugin = this.pluginLoader.getPluginInfo().find(info => info.functions.includes(word.name));
+        if (plugin) {
+            return `${code(`§${word.name}[...]`)}\nFrom plugin **${plugin.name}** ${plugin.version}${plugin.description ? ' - ' + plugin.description : ''}`;
+        }
+
+        return null;
+    }
+
+    definition({ textDocument, position }) {
+        const { analysis } = this.document(textDocument.uri);
+        const file = this.filePath(textDocument.uri);
+
+        // On §require / §import or its path, the file it loads
+        const load = analysis.loads.find(entry => entry.range.start.line === position.line);
+        const word = analysis.wordAt(position);
+        if (load && (!word || word.name === load.kind)) {
+            const target = file && resolveModule(load.target, path.dirname(file));
+            return target ? location(target, startOfFile()) : null;
+        }
+
+        if (!word) {
+            return null;
+        }
+
+        if (word.sigil === '$') {
+            const definition = findVariable(analysis, word.base, position.line);
+            return definition ? location(file, definition.range, textDocument.uri) : null;
+        }
+
+        const func = this.findFunction(word, analysis, file);
+        return func ? location(func.file || file, func.range, func.file ? null : textDocument.uri) : null;
+    }
+
+    documentSymbol({ textDocument }) {
+        const { analysis } = this.document(textDocument.uri);
+        const variable = variable => ({
+            name: '$' + variable.name,
+            kind: SYMBOL_KIND.variable,
+            range: variable.range,
+            selectionRange: variable.range
+        });
+
+        // Parameters and variables defined inside a function are listed under it
+        const inside = (range, func) => range.start.line >= func.range.start.line && range.start.line <= func.bodyRange.end.line;
+        const symbols = analysis.functions.map(func => ({
+            name: '§' + func.name,
+            detail: signatureOf(func),
+            kind: SYMBOL_KIND.function,
+            range: func.bodyRange,
+            selectionRange: func.range,
+            children: analysis.variables.filter(entry => inside(entry.range, func)).map(variable)
+        }));
+
+        const seen = new Set();
+        analysis.variables
+            .filter(entry => !entry.alias && !analysis.functions.some(func => inside(entry.range, func)))
+            .filter(entry => !seen.has(entry.name) && seen.add(entry.name))
+            .forEach(entry => symbols.push(variable(entry)));
+
+        analysis.loads.forEach(load => symbols.push({
+            name: load.kind === 'import' ? load.alias : load.target,
+            detail: `§${load.kind}[${load.target}]`,
+            kind: load.kind === 'import' ? SYMBOL_KIND.module : SYMBOL_KIND.file,
+            range: load.range,
+            selectionRange: load.range
+        }));
+
+        return symbols;
+    }
+
+    shutdown() {
+        this.shutdownRequested = true;
+        return null;
+    }
+
+    exit() {
+        process.exit(this.shutdownRequested ? 0 : 1);
+    }
+
+    /**
+     * Definition of a § function: in the document, in files it §requires, or exported by an §import
+     * @param {Object} word - From analysis.wordAt()
+     * @returns {Object|null} - Function entry; file is set when it comes from another file
+     */
+    findFunction(word, analysis, file) {
+        if (word.name.includes('.')) {
+            const [alias, name] = word.name.split('.');
+            const load = analysis.loads.find(entry => entry.kind === 'import' && entry.alias === alias);
+            const module = load && this.moduleAnalysis(load.target, file);
+            const func = module && module.functions.find(entry => entry.name === name);
+            return func ? { ...func, file: module.file } : null;
+        }
+
+        const local = analysis.functions.find(func => func.name === word.name);
+        if (local) {
+            return local;
+        }
+
+        for (const load of analysis.loads.filter(entry => entry.kind === 'require')) {
+            const required = this.moduleAnalysis(load.target, file);
+            const func = required && required.functions.find(entry => entry.name === word.name);
+            if (func) {
+                return { ...func, file: required.file };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Analysis of a file loaded with §require or §import, read from disk
+     * @param {string} target - Path as written in the call
+     * @param {string|null} file - Path of the document that loads it
+     * @returns {Object|null} - analyze() result with file set
+     */
+    moduleAnalysis(target, file) {
+        const resolved = resolveModule(target, file ? path.dirname(file) : process.cwd());
+        if (!resolved) {
+            return null;
+        }
+        try {
+            return { ...analyze(fs.readFileSync(resolved, 'utf8')), file: resolved };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} uri
+     * @returns {string|null} - Path of a file: URI, null for unsaved documents
+     */
+    filePath(uri) {
+        return uri.startsWith('file:') ? fileURLToPath(uri) : null;
+    }
+}
+
+// Method → handler; requests return their result, notifications return nothing
+const HANDLERS = {
+    'initialize': LanguageServer.prototype.initialize,
+    'initialized': () => {},
+    'shutdown': LanguageServer.prototype.shutdown,
+    'exit': LanguageServer.prototype.exit,
+    'textDocument/didOpen': LanguageServer.prototype.didOpen,
+    'textDocument/didChange': LanguageServer.prototype.didChange,
+    'textDocument/didSave': () => {},
+    'textDocument/didClose': LanguageServer.prototype.didClose,
+    'textDocument/completion': LanguageServer.prototype.completion,
+    'textDocument/hover': LanguageServer.prototype.hover,
+    'textDocument/definition': LanguageServer.prototype.definition,
+    'textDocument/documentSymbol': LanguageServer.prototype.documentSymbol,
+    'textDocument/formatting': LanguageServer.prototype.formatting
+};
+
+/**
+ * Parse a document and collect what the language features need
+ * @param {string} text - Document text
+ * @returns {Object} - { program, lines, functions, variables, loads, exports, positionAt, wordAt }
+ */
+function analyze(text) {
+    const program = new Parser().parse(text);
+    const lines = text.split(/\r?\n/);
+
+    // LSP positions are 0-based lines and characters
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    const positionAt = offset => {
+        let line = lineStarts.length - 1;
+        while (lineStarts[line] > offset) line--;
+        return { line, character: offset - lineStarts[line] };
+    };
+    const rangeOf = (start, end) => ({ start: positionAt(start), end: positionAt(end) });
+
+    const functions = [];
+    const variables = [];
+    const loads = [];
+    const exports = new Set();
+    const open = []; // Functions whose §endfunc has not been visited yet
+
+    Parser.walkCalls(program.body, call => {
+        const args = argumentRanges(text, call);
+        const define = index => {
+            const arg = args[index];
+            if (arg && /^[a-zA-Z_]\w*$/.test(arg.text)) {
+                variables.push({ name: arg.text, range: rangeOf(arg.start, arg.end) });
+            }
+        };
+
+        if (DEFINING_CALLS.includes(call.name)) {
+            define(0);
+        } else if (call.name === 'foreach') {
+            args.slice(0, -1).forEach((arg, index) => define(index));
+        } else if (call.name === 'func' && args[0]) {
+            const func = {
+                name: args[0].text,
+                params: args.slice(1).map(arg => arg.text).filter(Boolean),
+                range: rangeOf(args[0].start, args[0].end),
+                bodyRange: rangeOf(call.loc.start, call.loc.end),
+                doc: commentsAbove(program.comments, call.loc.line)
+            };
+            functions.push(func);
+            open.push(func);
+            args.slice(1).forEach((arg, index) => define(index + 1));
+        } else if (call.name === 'endfunc' && open.length > 0) {
+            const func = open.pop();
+            func.bodyRange = { start: func.bodyRange.start, end: positionAt(call.loc.end) };
+        } else if ((call.name === 'require' || call.name === 'import') && args[0]) {
+            const target = args[0].text.replace(/^["']|["']$/g, '');
+            const alias = call.name === 'import' ? (args[1] ? args[1].text : path.basename(target, '.elios')) : null;
+            loads.push({ kind: call.name, target, alias, range: rangeOf(call.loc.start, call.loc.end) });
+            if (alias) {
+                const aliasArg = args[1] || args[0];
+                variables.push({ name: alias, range: rangeOf(aliasArg.start, aliasArg.end), alias: true });
+            }
+        } else if (call.name === 'export') {
+            args.forEach(arg => exports.add(arg.text.replace(/^\$/, '')));
+        }
+    });
+
+    /**
+     * The §name or $name under the cursor
+     * @param {Object} position - LSP position
+     * @returns {Object|null} - { sigil, name, base, range }: base is the variable of $name.key
+     */
+    const wordAt = position => {
+        const line = lines[position.line] || '';
+        const pattern = /([§$])([a-zA-Z_][\w.]*)/g;
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (position.character >= start && position.character <= end) {
+                const name = match[2].replace(/\.$/, '');
+                return {
+                    sigil: match[1],
+                    name,
+                    base: name.split('.')[0],
+                    range: { start: { line: position.line, character: start }, end: { line: position.line, character: end } }
+                };
+            }
+        }
+        return null;
+    };
+
+    return { program, lines, functions, variables, loads, exports, positionAt, wordAt };
+}
+
+/**
+ * Arguments of a call with their offsets in the document
+ * @param {string} text - Document text
+ * @param {Object} call - Call node
+ * @returns {array} - { text, start, end }: trimmed argument text and its offsets
+ */
+function argumentRanges(text, call) {
+    if (!call.hasArgs) {
+        return [];
+    }
+
+    const source = text.slice(call.loc.start, call.loc.end);
+    const open = source.indexOf('[');
+    const inner = source.slice(open + 1, source.endsWith(']') ? -1 : undefined);
+    let offset = call.loc.start + open + 1;
+
+    return splitArgs(inner).map(part => {
+        const leading = part.length - part.trimStart().length;
+        const trimmed = part.trim();
+        const range = { text: trimmed, start: offset + leading, end: offset + leading + trimmed.length };
+        offset += part.length + 1; // The part and its ';'
+        return range;
+    });
+}
+
+/**
+ * Comment lines right above a line, as documentation
+ * @param {array} comments - COMMENT tokens of the program
+ * @param {number} line - 1-based line of the definition
+ * @returns {string} - Comment text without the leading #, or ''
+ */
+function commentsAbove(comments, line) {
+    const text = [];
+    for (let current = line - 1; ; current--) {
+        const comment = comments.find(token => token.line === current);
+        if (!comment) break;
+        text.unshift(comment.value.replace(/^#+\s?/, ''));
+    }
+    return text.join('\n');
+}
+
+/**
+ * Definition of a variable: the last one at or above the line, or else the first one
+ * @param {Object} analysis - analyze() result
+ * @param {string} name - Variable name without $
+ * @param {number} line - 0-based line of the use
+ * @returns {Object|null} - { name, range, alias }
+ */
+function findVariable(analysis, name, line) {
+    const definitions = analysis.variables.filter(variable => variable.name === name);
+    const before = definitions.filter(variable => variable.range.start.line <= line);
+    return before.length > 0 ? before[before.length - 1] : definitions[0] || null;
+}
+
+function signatureOf(func) {
+    return `§${func.name}[${func.params.join('; ')}]`;
+}
+
+function startOfFile() {
+    return { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+}
+
+/**
+ * @param {string|null} file - Path of the target file
+ * @param {Object} range - LSP range
+ * @param {string|null} uri - URI to use instead of the path (for the open document)
+ */
+function location(file, range, uri = null) {
+    const target = uri || (file && pathToFileURL(file).href);
+    return target ? { uri: target, range } : null;
+}
+
+module.exports = LanguageServer;
@@ -0,0 +1,186 @@
+const chalk = require('chalk');
+const { splitArgs } = require('./utils');
+const { isList, isMap, formatValue } = require('./values');
+const { EliosError } = require('./errors');
+
+// List handlers. §push and §pop change the list in place; the others return new values.
+module.exports = {
+    /**
+     * Check that a value is a list
+     * @param {*} value - Value to check
+     * @param {string} name - Function name for the error message
+     * @throws {EliosError} - TypeError when it is not
+     */
+    expectList(value, name) {
+        if (!isList(value)) {
+            throw new EliosError('TypeError', `§${name} expects a list, got: '${formatValue(value)}'`);
+        }
+    },
+
+    /**
+     * Resolve the first argument of a function that works on lists and on text
+     * @param {string} text - Raw argument text
+     * @param {string} name - Function name for the error message
+     * @returns {array|string} - The list, or the value as text
+     * @throws {EliosError} - TypeError when the value is a map
+     */
+    resolveSequence(text, name) {
+        const value = this.resolveValue(text);
+        if (isMap(value)) {
+            throw new EliosError('TypeError', `§${name} expects a list or text, got a map: ${formatValue(value)}`);
+        }
+        return isList(value) ? value : formatValue(value);
+    },
+
+    handleList(args) {
+        const list = args.trim() === '' ? [] : splitArgs(args).map(item => this.resolveValue(item));
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG LIST] ${chalk.green(formatValue(list))}`));
+        }
+        return list;
+    },
+
+    handlePush(args) {
+        const parts = splitArgs(args);
+        const list = this.resolveValue(parts[0] || '');
+        this.expectList(list, 'push');
+
+        const items = parts.slice(1).map(item => this.resolveValue(item));
+        list.push(...items);
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG PUSH] ${chalk.yellow(items.map(formatValue).join(', '))} → ${chalk.green(formatValue(list))}`));
+        }
+        return list.length.toString();
+    },
+
+    handlePop(args) {
+        const list = this.resolveValue(args);
+        this.expectList(list, 'pop');
+
+        const item = list.length > 0 ? list.pop() : '';
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG POP] ${chalk.green(formatValue(item))}`));
+        }
+        return item;
+    },
+
+    handleAt(args) {
+        const parts = splitArgs(args);
+        const target = this.resolveSequence(parts[0] || '', 'at');
+        let index = parseInt(this.evaluateText(parts[1] || '0'), 10);
+
+        if (isNaN(index)) {
+            this.reportError(`[ERROR AT] Invalid index: '${parts[1]}'`);
+            return '';
+        }
+
+        // Negative indexes count from the end
+        if (index < 0) index += target.length;
+
+        const item = index >= 0 && index < target.length ? target[index] : '';
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG AT] [${index}] → ${chalk.green(formatValue(item))}`));
+        }
+        return item;
+    },
+
+    handleSlice(args) {
+        const parts = splitArgs(args);
+        const target = this.resolveSequence(parts[0] || '', 'slice');
+        const start = parts.length > 1 ? parseInt(this.evaluateText(parts[1]), 10) || 0 : 0;
+        const end = parts.length > 2 ? parseInt(this.evaluateText(parts[2]), 10) : undefined;
+
+        const result = target.slice(start, isNaN(end) ? undefined : end);
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG SLICE] ${start}..${end === undefined ? 'end' : end} → ${chalk.green(formatValue(result))}`));
+        }
+        return result;
+    },
+
+    handleIndexOf(args) {
+        const parts = splitArgs(args);
+        const target = this.resolveSequence(parts[0] || '', 'indexOf');
+        const needle = this.resolveValue(parts[1] || '');
+
+        const index = isList(target)
+            ? target.findIndex(item => formatValue(item) === formatValue(needle))
+            : target.indexOf(formatValue(needle));
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG INDEX_OF] ${chalk.yellow(formatValue(needle))} → ${chalk.green(index)}`));
+        }
+        return index.toString();
+    },
+
+    handleJoin(args) {
+        const parts = splitArgs(args);
+        const list = this.resolveValue(parts[0] || '');
+        this.expectList(list, 'join');
+
+        const separator = parts.length > 1 ? this.evaluateText(parts[1]) : ',';
+        const result = list.map(formatValue).join(separator);
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG JOIN] "${chalk.yellow(separator)}" → ${chalk.green(result)}`));
+        }
+        return result;
+    },
+
+    handleSplit(args) {
+        const parts = splitArgs(args);
+        const text = this.evaluateText(parts[0] || '');
+        const separator = parts.length > 1 ? this.evaluateText(parts[1]) : ',';
+
+        const result = text === '' ? [] : text.split(separator);
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG SPLIT] "${chalk.yellow(separator)}" → ${chalk.green(formatValue(result))}`));
+        }
+        return result;
+    },
+
+    handleLines(args) {
+        const text = formatValue(this.resolveValue(args));
+        const result = text === '' ? [] : text.replace(/\r?\n$/, '').split(/\r?\n/);
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG LINES] ${chalk.green(result.length)} line(s)`));
+        }
+        return result;
+    },
+
+    handleChars(args) {
+        const result = Array.from(formatValue(this.resolveValue(args)));
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG CHARS] ${chalk.green(formatValue(result))}`));
+        }
+        return result;
+    },
+
+    handleSort(args) {
+        const parts = splitArgs(args);
+        const list = this.resolveValue(parts[0] || '');
+        this.expectList(list, 'sort');
+
+        const descending = parts.length > 1 && this.evaluateText(parts[1]).toLowerCase() === 'desc';
+        const numeric = list.every(item => !isList(item) && formatValue(item).trim() !== '' && !isNaN(formatValue(item)));
+
+        const result = [...list].sort((a, b) => numeric
+            ? parseFloat(a) - parseFloat(b)
+            : formatValue(a).localeCompare(formatValue(b)));
+        if (descending) result.reverse();
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG SORT] ${numeric ? 'numeric' : 'text'}${descending ? ', desc' : ''} → ${chalk.green(formatValue(result))}`));
+        }
+        return result;
+    },
+
+    handleReverse(args) {
+        const target = this.resolveSequence(args, 'reverse');
+        const result = isList(target) ? [...target].reverse() : [...target].reverse().join('');
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG REVERSE] ${chalk.green(formatValue(result))}`));
+        }
+        return result;
+    },
+};
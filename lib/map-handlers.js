@@ -0,0 +1,138 @@
+const chalk = require('chalk');
+const { splitArgs } = require('./utils');
+const { isList, isMap, formatValue, fromJson } = require('./values');
+const { EliosError } = require('./errors');
+
+// Map handlers. §set and §delete change the map in place; the others return new values.
+module.exports = {
+    /**
+     * Check that a value is a map
+     * @param {*} value - Value to check
+     * @param {string} name - Function name for the error message
+     * @throws {EliosError} - TypeError when it is not
+     */
+    expectMap(value, name) {
+        if (!isMap(value)) {
+            throw new EliosError('TypeError', `§${name} expects a map, got: '${formatValue(value)}'`);
+        }
+    },
+
+    handleMap(args) {
+        const parts = args.trim() === '' ? [] : splitArgs(args);
+        const map = new Map();
+
+        if (parts.length % 2 !== 0) {
+            this.reportError(`[ERROR MAP] Expected key; value pairs, got ${parts.length} argument(s)`);
+            return map;
+        }
+
+        for (let i = 0; i < parts.length; i += 2) {
+            map.set(this.evaluateText(parts[i]), this.resolveValue(parts[i + 1]));
+        }
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG MAP] ${chalk.green(formatValue(map))}`));
+        }
+        return map;
+    },
+
+    handleGet(args) {
+        const parts = splitArgs(args);
+        const target = this.resolveValue(parts[0] || '');
+        const key = this.evaluateText(parts[1] || '');
+        const fallback = parts.length > 2 ? this.resolveValue(parts[2]) : '';
+
+        let value = fallback;
+        if (isMap(target) && target.has(key)) {
+            value = target.get(key);
+        } else if (isList(target) && /^\d+$/.test(key) && parseInt(key, 10) < target.length) {
+            value = target[parseInt(key, 10)];
+        } else if (!isMap(target) && !isList(target)) {
+            throw new EliosError('TypeError', `§get expects a map or a list, got: '${formatValue(target)}'`);
+        }
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG GET] "${chalk.yellow(key)}" → ${chalk.green(formatValue(value))}`));
+        }
+        return value;
+    },
+
+    handleSet(args) {
+        const parts = splitArgs(args);
+        const map = this.resolveValue(parts[0] || '');
+        this.expectMap(map, 'set');
+
+        const key = this.evaluateText(parts[1] || '');
+        const value = this.resolveValue(parts.slice(2).join(';'));
+        map.set(key, value);
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG SET] "${chalk.yellow(key)}" = ${chalk.green(formatValue(value))}`));
+        }
+        return map;
+    },
+
+    handleHas(args) {
+        const parts = splitArgs(args);
+        const map = this.resolveValue(parts[0] || '');
+        this.expectMap(map, 'has');
+
+        const key = this.evaluateText(parts[1] || '');
+        const result = map.has(key);
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG HAS] "${chalk.yellow(key)}" → ${chalk.green(result)}`));
+        }
+        return result ? 'true' : 'false';
+    },
+
+    handleKeys(args) {
+        const map = this.resolveValue(args);
+        this.expectMap(map, 'keys');
+
+        const keys = Array.from(map.keys());
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG KEYS] ${chalk.green(formatValue(keys))}`));
+        }
+        return keys;
+    },
+
+    handleValues(args) {
+        const map = this.resolveValue(args);
+        this.expectMap(map, 'values');
+
+        const values = Array.from(map.values());
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG VALUES] ${chalk.green(formatValue(values))}`));
+        }
+        return values;
+    },
+
+    handleDelete(args) {
+        const parts = splitArgs(args);
+        const map = this.resolveValue(parts[0] || '');
+        this.expectMap(map, 'delete');
+
+        const key = this.evaluateText(parts[1] || '');
+        const result = map.delete(key);
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG DELETE] "${chalk.yellow(key)}" → ${chalk.green(result)}`));
+        }
+        return result ? 'true' : 'false';
+    },
+
+    handleJsonParse(args) {
+        const text = this.evaluateText(args);
+
+        try {
+            const value = fromJson(JSON.parse(text));
+            if (this.debug) {
+                console.log(chalk.blue(`[DEBUG JSON_PARSE] → ${chalk.green(formatValue(value))}`));
+            }
+            return value;
+        } catch (error) {
+            throw new EliosError('JsonError', `Invalid JSON: ${error.message}`);
+        }
+    },
+};
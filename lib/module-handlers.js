@@ -0,0 +1,63 @@
+const chalk = require('chalk');
+const path = require('path');
+const { splitArgs, cleanQuotes } = require('./utils');
+const { EliosError } = require('./errors');
+
+// Module handlers. A module is an .elios file loaded with §import; its variables and
+// functions are private unless listed in §export.
+module.exports = {
+    /**
+     * §import[path; alias] binds the module's exports to alias: variables are read as
+     * $alias.name and functions called as §alias.name[...]. The alias defaults to the file name.
+     */
+    async handleImport(args) {
+        const parts = splitArgs(args);
+        const file = cleanQuotes(this.replaceVariables(this.evaluateNestedFunctions(parts[0] || '')));
+
+        if (!file) {
+            throw new EliosError('ImportError', '§import needs a module path, e.g. §import[lib/strings; strings]');
+        }
+
+        const alias = parts.length > 1 ? parts[1].trim() : path.basename(file, '.elios');
+        if (!/^[a-zA-Z_]\w*$/.test(alias)) {
+            throw new EliosError('ImportError', `Invalid §import alias '${alias}'`);
+        }
+
+        const module = await this.importModule(file);
+        this.scope.declare(alias, module.exports);
+
+        if (this.debug) {
+            const names = [...module.exports.keys(), ...[...module.exportedFunctions].map(name => `§${name}`)];
+            console.log(chalk.blue(`[DEBUG IMPORT] ${chalk.yellow(alias)} → ${chalk.green(names.join(', ') || '(no exports)')}`));
+        }
+        return module.exports;
+    },
+
+    /**
+     * §export[name; other] lists the variables and functions a module makes public.
+     * Exported values are read once the module has finished running. Files run with
+     * §require share everything already, so there it has no effect.
+     */
+    handleExport(args) {
+        const names = splitArgs(args).map(name => name.trim().replace(/^\$/, ''));
+
+        if (!this.currentModule) {
+            if (this.debug) {
+                console.log(chalk.yellow(`[DEBUG EXPORT] Not in an imported module, ignoring: ${names.join(', ')}`));
+            }
+            return '';
+        }
+
+        for (const name of names) {
+            if (!/^[a-zA-Z_]\w*$/.test(name)) {
+                throw new EliosError('ImportError', `Invalid §export name '${name}'`);
+            }
+            this.currentModule.exportNames.add(name);
+        }
+
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG EXPORT] ${chalk.yellow(names.join(', '))}`));
+        }
+        return '';
+    },
+};
@@ -0,0 +1,64 @@
+/**
+ * Module lookup for §require and §import
+ *
+ * - Absolute paths and paths starting with ./ or ../ are used as they are
+ * - Bare names such as helpers or std/strings are searched in order in: the
+ *   directory of the requiring file, the project lib/ directory, each directory
+ *   of ELIOS_PATH and the standard library bundled with Elios
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Shipped next to lib/ and listed in the pkg assets, so binaries carry it too
+const STDLIB_DIR = path.join(__dirname, '..', 'stdlib');
+
+/**
+ * Directories searched for bare module names
+ * @param {string} baseDir - Directory of the requiring file
+ * @returns {array} - Absolute directories, without duplicates
+ */
+function searchPaths(baseDir = process.cwd()) {
+    const envPaths = (process.env.ELIOS_PATH || '')
+        .split(path.delimiter)
+        .filter(Boolean)
+        .map(dir => path.resolve(dir));
+
+    return [...new Set([baseDir, path.join(process.cwd(), 'lib'), ...envPaths, STDLIB_DIR])];
+}
+
+/**
+ * Find the file a module name refers to
+ * @param {string} name - The path given to §require or §import
+ * @param {string} baseDir - Directory of the requiring file
+ * @returns {string|null} - Absolute file path, or null when no search path has it
+ */
+function resolveModule(name, baseDir = process.cwd()) {
+    let file = name.trim();
+
+    // Add .elios extension if not present
+    if (!file.endsWith('.elios')) {
+        file += '.elios';
+    }
+
+    if (path.isAbsolute(file)) {
+        return fs.existsSync(file) ? file : null;
+    }
+    if (/^\.\.?[\\/]/.test(file)) {
+        const resolved = path.join(baseDir, file);
+        return fs.existsSync(resolved) ? resolved : null;
+    }
+
+    for (const dir of searchPaths(baseDir)) {
+        const candidate = path.join(dir, file);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    STDLIB_DIR,
+    searchPaths,
+    resolveModule
+};
@@ -0,0 +1,571 @@
+/**
+ * Elios Language Parser
+ * Turns tokenizer output into an AST of calls and blocks with source positions
+ */
+
+const Tokenizer = require('./tokenizer');
+const { splitArgs } = require('./utils');
+
+class ParseError extends Error {
+    constructor(message, line, column) {
+        super(message);
+        this.name = 'ParseError';
+        this.line = line;
+        this.column = column;
+    }
+
+    toString() {
+        return `Line ${this.line}: ${this.message}`;
+    }
+}
+
+// Keywords that continue or close a block, mapped to the block they belong to
+const CLOSERS = {
+    elseif: 'if',
+    else: 'if',
+    endif: 'if',
+    endwhile: 'while',
+    endfor: 'for',
+    endforeach: 'foreach',
+    endfunc: 'func',
+    catch: 'try',
+    finally: 'try',
+    endtry: 'try',
+    case: 'switch',
+    default: 'switch',
+    endswitch: 'switch',
+    endtest: 'test'
+};
+
+class Parser {
+    constructor() {
+        this.tokens = [];
+        this.position = 0;
+        this.code = '';
+        this.file = null;
+        this.errors = [];
+        this.warnings = [];
+        this.comments = [];
+    }
+
+    /**
+     * Main parsing function
+     * @param {string} code - The Elios code to parse
+     * @param {string|null} file - Path of the file, recorded in every location
+     * @returns {Object} - { type: 'Program', body, comments, errors, warnings }
+     */
+    parse(code, file = null) {
+        this.code = code;
+        this.file = file;
+        this.position = 0;
+        this.errors = [];
+        this.warnings = [];
+        this.comments = [];
+
+        const tokens = new Tokenizer().tokenize(code);
+        this.tokens = tokens.filter(token => token.type !== 'COMMENT');
+        this.comments = tokens.filter(token => token.type === 'COMMENT');
+
+        tokens.filter(token => token.unterminated).forEach(token => {
+            this.error('Unterminated multi-line string: missing its closing quotes or heredoc terminator', token);
+        });
+
+        const body = this.parseStatements([]);
+
+        return {
+            type: 'Program',
+            body,
+            comments: this.comments,
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    /**
+     * Parse statements until one of the terminator keywords (left unconsumed) or EOF
+     * @param {array} terminators - Keywords ending the current block
+     * @returns {array} - Statement nodes
+     */
+    parseStatements(terminators) {
+        const body = [];
+
+        while (!this.isAtEnd()) {
+            const token = this.peek();
+
+            if (token.type !== 'FUNCTION') {
+                this.skipStrayLine();
+                continue;
+            }
+
+            if (terminators.includes(token.value)) {
+                break;
+            }
+
+            if (CLOSERS[token.value]) {
+                const call = this.parseCall();
+                this.error(`§${call.name} without matching §${CLOSERS[call.name]}`, call.loc);
+                continue;
+            }
+
+            body.push(this.parseStatement());
+        }
+
+        return body;
+    }
+
+    parseStatement() {
+        const call = this.parseCall();
+
+        switch (call.name) {
+            case 'if':
+                return this.parseIf(call);
+            case 'while':
+                return this.parseWhile(call);
+            case 'for':
+                return this.parseFor(call);
+            case 'foreach':
+                return this.parseForeach(call);
+            case 'func':
+                return this.parseFunction(call);
+            case 'try':
+                return this.parseTry(call);
+            case 'switch':
+                return this.parseSwitch(call);
+            case 'test':
+                return this.parseTest(call);
+            default:
+                return call;
+        }
+    }
+
+    /**
+     * Parse §name or §name[args]; the raw argument text is kept for the handlers
+     */
+    parseCall() {
+        const token = this.advance();
+        const next = this.peek();
+        let args = '';
+        let hasArgs = false;
+        let endToken = token;
+
+        if (next.type === 'LBRACKET' && next.start === token.end) {
+            hasArgs = true;
+            this.advance();
+
+            const closing = this.findClosingBracket();
+            if (closing === -1) {
+                this.error(`Missing closing bracket ']' for function '§${token.value}'`, token);
+
+                // Recover by treating the rest of the line as the arguments
+                const lineEnd = this.code.indexOf('\n', next.end);
+                args = this.code.slice(next.end, lineEnd === -1 ? this.code.length : lineEnd);
+                while (!this.isAtEnd() && this.peek().line === token.line) {
+                    this.advance();
+                }
+            } else {
+                endToken = this.tokens[closing];
+                args = this.joinLines(this.position, closing);
+                this.position = closing + 1;
+            }
+        }
+
+        return {
+            type: 'Call',
+            name: token.value,
+            args,
+            hasArgs,
+            loc: {
+                file: this.file,
+                line: token.line,
+                column: token.column,
+                endLine: endToken.line,
+                start: token.start,
+                end: endToken.end
+            }
+        };
+    }
+
+    parseIf(header) {
+        const node = {
+            type: 'If',
+            branches: [],
+            alternate: null,
+            end: null,
+            loc: header.loc
+        };
+
+        if (!header.args.trim()) {
+            this.error('§if requires a condition', header.loc);
+        }
+
+        let current = { condition: header.args, header, body: [] };
+        node.branches.push(current);
+
+        while (true) {
+            current.body = this.parseStatements(['elseif', 'else', 'endif']);
+
+            if (this.isAtEnd()) {
+                this.error('§if without matching §endif', header.loc);
+                return node;
+            }
+
+            const keyword = this.parseCall();
+
+            if (keyword.name === 'endif') {
+                node.end = keyword;
+                return node;
+            }
+
+            if (node.alternate) {
+                this.error(`§${keyword.name} after §else in the same §if`, keyword.loc);
+            }
+
+            if (keyword.name === 'elseif') {
+                current = { condition: keyword.args, header: keyword, body: [] };
+                node.branches.push(current);
+            } else {
+                current = { header: keyword, body: [] };
+                node.alternate = current;
+            }
+        }
+    }
+
+    /**
+     * Take a trailing max=N off loop arguments, as in §while[cond; max=50000]
+     * @param {Object} header - Loop header call
+     * @returns {Object} - { parts, max }: the remaining arguments and the limit, or null
+     */
+    parseLoopLimit(header) {
+        const parts = splitArgs(header.args).map(part => part.trim());
+        const match = parts.length > 1 ? parts[parts.length - 1].match(/^max\s*=\s*(.*)$/) : null;
+
+        if (!match) {
+            return { parts, max: null };
+        }
+        if (!/^[1-9]\d*$/.test(match[1])) {
+            this.error(`Invalid loop limit '${parts[parts.length - 1]}': expected max=<positive number>`, header.loc);
+        }
+        return { parts: parts.slice(0, -1), max: parseInt(match[1], 10) || null };
+    }
+
+    parseWhile(header) {
+        const { parts, max } = this.parseLoopLimit(header);
+        const condition = max === null ? header.args : parts.join('; ');
+
+        if (!condition.trim()) {
+            this.error('§while requires a condition', header.loc);
+        }
+
+        return this.parseBlock({ type: 'While', condition, max }, header, 'endwhile');
+    }
+
+    /**
+     * §for[var; start; end; step?] counts up to (or down to, with a negative step) end, exclusive;
+     * §for[var; start..end; step?] includes end and counts down when start is above end.
+     * Both take an optional last max=N iteration limit.
+     */
+    parseFor(header) {
+        const { parts, max } = this.parseLoopLimit(header);
+        const range = parts.length >= 2 ? parts[1].indexOf('..') : -1;
+        const inclusive = range !== -1 && (parts.length === 2 || parts.length === 3);
+
+        const node = inclusive
+            ? { type: 'For', variable: parts[0], from: parts[1].slice(0, range).trim(), to: parts[1].slice(range + 2).trim(), step: parts[2] || '', inclusive, max }
+            : { type: 'For', variable: parts[0] || '', from: parts[1] || '', to: parts[2] || '', step: parts[3] || '', inclusive, max };
+
+        const valid = inclusive || parts.length === 3 || parts.length === 4;
+        if (!valid || parts.some(part => part === '') || node.from === '' || node.to === '') {
+            this.error('Invalid §for syntax: expected §for[var; start; end; step?] or §for[var; start..end; step?]', header.loc);
+        }
+
+        return this.parseBlock(node, header, 'endfor');
+    }
+
+    /**
+     * §foreach[item; $collection] or §foreach[key; value; $collection], with an optional last max=N
+     */
+    parseForeach(header) {
+        const { parts, max } = this.parseLoopLimit(header);
+        const variables = parts.slice(0, -1);
+
+        if (parts.length < 2 || parts.length > 3 || parts.some(part => part === '')) {
+            this.error('Invalid §foreach syntax: expected §foreach[item; $collection] or §foreach[key; value; $collection], optionally with max=N', header.loc);
+        } else if (!variables.every(name => /^[a-zA-Z_]\w*$/.test(name))) {
+            this.error(`Invalid §foreach variable name in '${variables.join('; ')}'`, header.loc);
+        }
+
+        return this.parseBlock({
+            type: 'Foreach',
+            variables,
+            collection: parts.length > 1 ? parts[parts.length - 1] : '',
+            max
+        }, header, 'endforeach');
+    }
+
+    parseFunction(header) {
+        const parts = splitArgs(header.args).map(part => part.trim());
+        const name = parts[0] || '';
+
+        if (!/^[a-zA-Z_]\w*$/.test(name)) {
+            this.error('§func requires a function name, e.g. §func[name; param]', header.loc);
+        }
+
+        return this.parseBlock({
+            type: 'Function',
+            name,
+            params: parts.slice(1).filter(param => param !== '')
+        }, header, 'endfunc');
+    }
+
+    parseTest(header) {
+        const name = header.args.trim();
+
+        if (name === '') {
+            this.error('§test requires a name, e.g. §test[adds two numbers]', header.loc);
+        }
+
+        return this.parseBlock({ type: 'Test', name }, header, 'endtest');
+    }
+
+    parseTry(header) {
+        const node = {
+            type: 'Try',
+            header,
+            body: this.parseStatements(['catch', 'finally', 'endtry']),
+            handler: null,
+            finalizer: null,
+            end: null,
+            loc: header.loc
+        };
+
+        while (true) {
+            if (this.isAtEnd()) {
+                this.error('§try without matching §endtry', header.loc);
+                return node;
+            }
+
+            const keyword = this.parseCall();
+
+            if (keyword.name === 'endtry') {
+                node.end = keyword;
+                if (!node.handler && !node.finalizer) {
+                    this.error('§try requires a §catch or §finally block', header.loc);
+                }
+                return node;
+            }
+
+            if (node.finalizer || (keyword.name === 'catch' && node.handler)) {
+                this.error(`Unexpected §${keyword.name} in §try block`, keyword.loc);
+            }
+
+            const section = { header: keyword, body: this.parseStatements(['catch', 'finally', 'endtry']) };
+
+            if (keyword.name === 'catch') {
+                section.variable = keyword.args.trim();
+                if (section.variable && !/^[a-zA-Z_]\w*$/.test(section.variable)) {
+                    this.error(`Invalid §catch variable name '${section.variable}'`, keyword.loc);
+                }
+                node.handler = section;
+            } else {
+                node.finalizer = section;
+            }
+        }
+    }
+
+    /**
+     * §switch[value] followed by §case[a; b] and §default sections; the first matching
+     * section runs and there is no fall-through
+     */
+    parseSwitch(header) {
+        const node = {
+            type: 'Switch',
+            subject: header.args,
+            header,
+            cases: [],
+            default: null,
+            end: null,
+            loc: header.loc
+        };
+
+        if (!header.args.trim()) {
+            this.error('§switch requires a value', header.loc);
+        }
+
+        const terminators = ['case', 'default', 'endswitch'];
+        if (this.parseStatements(terminators).length > 0) {
+            this.error('Statements in §switch must be inside a §case or §default', header.loc);
+        }
+
+        while (true) {
+            if (this.isAtEnd()) {
+                this.error('§switch without matching §endswitch', header.loc);
+                return node;
+            }
+
+            const keyword = this.parseCall();
+
+            if (keyword.name === 'endswitch') {
+                node.end = keyword;
+                return node;
+            }
+
+            if (node.default) {
+                this.error(`§${keyword.name} after §default in the same §switch`, keyword.loc);
+            }
+
+            const section = { header: keyword, body: this.parseStatements(terminators) };
+
+            if (keyword.name === 'case') {
+                section.values = splitArgs(keyword.args).map(value => value.trim()).filter(value => value !== '');
+                if (section.values.length === 0) {
+                    this.error('§case requires at least one value', keyword.loc);
+                }
+                node.cases.push(section);
+            } else {
+                node.default = section;
+            }
+        }
+    }
+
+    /**
+     * Parse the body of a block up to its closing keyword
+     */
+    parseBlock(node, header, closer) {
+        node.header = header;
+        node.body = this.parseStatements([closer]);
+        node.end = null;
+        node.loc = header.loc;
+
+        if (this.isAtEnd()) {
+            this.error(`§${header.name} without matching §${closer}`, header.loc);
+        } else {
+            node.end = this.parseCall();
+        }
+
+        return node;
+    }
+
+    /**
+     * Source text of the arguments between two tokens
+     * When the arguments span several lines, the line breaks between them (not those
+     * inside string literals) are joined into single spaces, as if written on one line
+     * @param {number} first - Index of the first token after the '['
+     * @param {number} closing - Index of the closing ']' token
+     * @returns {string}
+     */
+    joinLines(first, closing) {
+        const from = this.tokens[first - 1].end;
+        const to = this.tokens[closing].start;
+        const text = this.code.slice(from, to);
+
+        if (!text.includes('\n')) {
+            return text;
+        }
+
+        const join = segment => segment.replace(/[ \t]*\r?\n\s*/g, ' ');
+        let result = '';
+        let position = from;
+
+        for (let i = first; i < closing; i++) {
+            const token = this.tokens[i];
+            if (token.type === 'STRING') {
+                result += join(this.code.slice(position, token.start)) + this.code.slice(token.start, token.end);
+                position = token.end;
+            }
+        }
+
+        return (result + join(this.code.slice(position, to))).trim();
+    }
+
+    /**
+     * Find the index of the RBRACKET closing the bracket just consumed
+     * @returns {number} - Token index, or -1 if the brackets never balance
+     */
+    findClosingBracket() {
+        let depth = 1;
+
+        for (let i = this.position; i < this.tokens.length; i++) {
+            const type = this.tokens[i].type;
+            if (type === 'LBRACKET') depth++;
+            if (type === 'RBRACKET' && --depth === 0) return i;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Skip a line that does not start with a § call, like the interpreter always did
+     */
+    skipStrayLine() {
+        const line = this.peek().line;
+        this.warnings.push(`Line ${line}: Ignoring text outside of a § call`);
+
+        while (!this.isAtEnd() && this.peek().line === line) {
+            this.advance();
+        }
+    }
+
+    error(message, loc) {
+        this.errors.push(new ParseError(message, loc.line, loc.column));
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    advance() {
+        const token = this.tokens[this.position];
+        if (!this.isAtEnd()) this.position++;
+        return token;
+    }
+
+    isAtEnd() {
+        return this.tokens[this.position].type === 'EOF';
+    }
+
+    /**
+     * Visit every call in a tree, including block headers and closing keywords
+     * @param {array} nodes - Statement nodes
+     * @param {function} visitor - Called with (call, depth)
+     * @param {number} depth - Block nesting depth of the nodes
+     */
+    static walkCalls(nodes, visitor, depth = 0) {
+        for (const node of nodes) {
+            if (node.type === 'Call') {
+                visitor(node, depth);
+                continue;
+            }
+
+            if (node.type === 'Switch') {
+                // Sections are indented one level inside the §switch
+                visitor(node.header, depth);
+                for (const section of [...node.cases, ...(node.default ? [node.default] : [])]) {
+                    visitor(section.header, depth + 1);
+                    Parser.walkCalls(section.body, visitor, depth + 2);
+                }
+                if (node.end) {
+                    visitor(node.end, depth);
+                }
+                continue;
+            }
+
+            let sections = [node];
+            if (node.type === 'If') {
+                sections = [...node.branches, ...(node.alternate ? [node.alternate] : [])];
+            } else if (node.type === 'Try') {
+                sections = [node, node.handler, node.finalizer].filter(Boolean);
+            }
+
+            for (const section of sections) {
+                visitor(section.header, depth);
+                Parser.walkCalls(section.body, visitor, depth + 1);
+            }
+
+            if (node.end) {
+                visitor(node.end, depth);
+            }
+        }
+    }
+}
+
+module.exports = { Parser, ParseError };
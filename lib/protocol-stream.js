@@ -0,0 +1,65 @@
+/**
+ * Content-Length framing shared by the debug adapter and the language server
+ *
+ * Both protocols send JSON messages preceded by a header block:
+ *   Content-Length: 42\r\n
+ *   \r\n
+ *   {"jsonrpc":"2.0",...}
+ */
+
+/**
+ * @param {Object} message - Message to send
+ * @returns {string} - Header and JSON body
+ */
+function encodeMessage(message) {
+    const json = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(json, 'utf8')}\r\n\r\n${json}`;
+}
+
+/**
+ * Build a data handler that splits a byte stream into messages
+ * @param {function} onMessage - Called with each parsed message
+ * @param {function} onError - Called with an Error when a body is not valid JSON
+ * @returns {function} - (chunk) => void, to attach to the stream's 'data' event
+ */
+function createMessageReader(onMessage, onError = () => {}) {
+    let buffer = Buffer.alloc(0);
+
+    return chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (true) {
+            const headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+
+            const header = buffer.slice(0, headerEnd).toString('utf8');
+            const match = header.match(/Content-Length:\s*(\d+)/i);
+            if (!match) {
+                // Not a header we understand: drop it and look for the next one
+                buffer = buffer.slice(headerEnd + 4);
+                continue;
+            }
+
+            const length = parseInt(match[1], 10);
+            const start = headerEnd + 4;
+            if (buffer.length < start + length) return;
+
+            const body = buffer.slice(start, start + length).toString('utf8');
+            buffer = buffer.slice(start + length);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                onError(error);
+                continue;
+            }
+            onMessage(message);
+        }
+    };
+}
+
+module.exports = {
+    encodeMessage,
+    createMessageReader
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const EliosInterpreter = require('./interpreter');
+const { formatValue } = require('./values');
+const { KEYWORDS } = require('./function-docs');
+
+const META_COMMANDS = {
+    ':help': 'Show this help',
+    ':vars': 'List global variables',
+    ':funcs': 'List user-defined functions',
+    ':plugins': 'List loaded plugins',
+    ':load <file>': 'Run a file in this session',
+    ':reset': 'Start over with a fresh interpreter',
+    ':quit': 'Leave the REPL (or press Ctrl+D)'
+};
+
+const HISTORY_SIZE = 1000;
+
+/**
+ * Interactive Elios session: `elios repl` or `elios -i`
+ *
+ * Every entry runs in the same EliosInterpreter, so variables and functions persist.
+ * An entry that opens a block (§if, §while, §for, ...), a bracket or a multi-line
+ * string continues on the next lines until it is complete; an empty line runs it as is.
+ */
+class EliosRepl {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.debug - Run the interpreter in debug mode
+     * @param {Object} options.limits - Interpreter options, see EliosInterpreter
+     * @param {string} options.historyFile - Where entered lines are kept between sessions
+     */
+    constructor(options = {}) {
+        this.debug = Boolean(options.debug);
+        this.limits = options.limits || {};
+        this.historyFile = options.historyFile || process.env.ELIOS_HISTORY || path.join(os.homedir(), '.elios_history');
+        this.interpreter = new EliosInterpreter(this.debug, this.limits);
+        this.buffer = []; // Lines of an incomplete entry
+        this.rl = null;
+        this.closed = false;
+    }
+
+    /**
+     * Run the session until :quit or end of input
+     * @returns {Promise<number>} - Exit code: 0, or the code passed to §exit
+     */
+    start() {
+        this.rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            completer: line => this.complete(line),
+            history: this.loadHistory(),
+            historySize: HISTORY_SIZE,
+            removeHistoryDuplicates: true
+        });
+        this.rl.on('history', history => this.saveHistory(history));
+
+        const version = require('../package.json').version;
+        console.log(chalk.cyan(`Elios ${version} REPL`) + chalk.gray(' - type :help for commands, :quit to leave'));
+
+        return new Promise(resolve => {
+            let busy = Promise.resolve();
+
+            this.rl.on('line', line => {
+                // Lines are handled one after the other, even when an entry is still running
+                busy = busy.then(() => this.handleLine(line)).then(() => {
+                    if (this.closed) {
+                        return;
+                    }
+                    if (this.interpreter.shouldExit) {
+                        this.rl.close();
+                    } else {
+                        this.prompt();
+                    }
+                });
+            });
+
+            this.rl.on('SIGINT', () => {
+                if (this.buffer.length > 0 || this.rl.line) {
+                    this.buffer = [];
+                    this.rl.write(null, { ctrl: true, name: 'u' });
+                    process.stdout.write('\n');
+                    this.prompt();
+                } else {
+                    this.rl.close();
+                }
+            });
+
+            this.rl.on('close', () => {
+                this.closed = true;
+                busy.then(() => resolve(this.interpreter.shouldExit ? this.interpreter.exitCode : 0));
+            });
+
+            this.prompt();
+        });
+    }
+
+    prompt() {
+        this.rl.setPrompt(this.buffer.length > 0 ? chalk.gray('... ') : chalk.cyan('elios> '));
+        this.rl.prompt();
+    }
+
+    /**
+     * @param {string} line - A line typed by the user
+     */
+    async handleLine(line) {
+        if (this.buffer.length === 0) {
+            const trimmed = line.trim();
+            if (trimmed === '') {
+                return;
+            }
+            if (trimmed.startsWith(':')) {
+                await this.runMetaCommand(trimmed);
+                return;
+            }
+        }
+
+        // An empty line ends an entry that still looks incomplete, so its errors are shown
+        const force = this.buffer.length > 0 && line.trim() === '';
+        if (!force) {
+            this.buffer.push(line);
+        }
+
+        const code = this.buffer.join('\n');
+        const program = this.interpreter.parse(code, '<repl>');
+        if (!force && program.errors.some(isIncomplete)) {
+            return;
+        }
+
+        this.buffer = [];
+        if (program.errors.length > 0) {
+            this.interpreter.reportValidationErrors(program.errors, '<repl>', code);
+            return;
+        }
+
+        await this.evaluate(program);
+    }
+
+    /**
+     * Run a parsed entry and echo the value of its last statement
+     * @param {Object} program - Program node
+     */
+    async evaluate(program) {
+        let result;
+        try {
+            for (const node of program.body) {
+                if (this.interpreter.shouldExit) break;
+                result = await this.interpreter.executeNode(node);
+            }
+        } catch (error) {
+            this.interpreter.reportUncaught(error);
+            return;
+        } finally {
+            // A §break or §return typed at the prompt must not leak into the next entry
+            this.interpreter.shouldBreak = false;
+            this.interpreter.shouldContinue = false;
+            this.interpreter.shouldReturn = false;
+        }
+
+        if (result !== undefined && result !== '' && !this.interpreter.shouldExit) {
+            console.log(chalk.gray('→ ') + chalk.green(formatValue(result)));
+        }
+    }
+
+    /**
+     * @param {string} command - A line starting with ':'
+     */
+    async runMetaCommand(command) {
+        const [name, ...rest] = command.split(/\s+/);
+        const argument = rest.join(' ');
+
+        switch (name) {
+            case ':help':
+                Object.entries(META_COMMANDS).forEach(([usage, description]) => {
+                    console.log(`  ${chalk.green(usage.padEnd(14))} ${chalk.white(description)}`);
+                });
+                break;
+            case ':vars':
+                this.showVariables();
+                break;
+            case ':funcs':
+                this.showFunctions();
+                break;
+            case ':plugins':
+                this.showPlugins();
+                break;
+            case ':load':
+                await this.load(argument);
+                break;
+            case ':reset':
+                this.interpreter = new EliosInterpreter(this.debug, this.limits);
+                console.log(chalk.yellow('Interpreter reset'));
+                break;
+            case ':quit':
+            case ':exit':
+                this.rl.close();
+                break;
+            default:
+                console.error(chalk.red(`Unknown command ${name}, type :help for the list`));
+        }
+    }
+
+    showVariables() {
+        const variables = this.interpreter.globalScope.vars;
+        if (variables.size === 0) {
+            console.log(chalk.gray('No variables'));
+            return;
+        }
+        variables.forEach((value, name) => {
+            const text = formatValue(value);
+            console.log(`  ${chalk.yellow('$' + name)} = ${chalk.green(text.length > 80 ? text.slice(0, 77) + '...' : text)}`);
+        });
+    }
+
+    showFunctions() {
+        const functions = this.interpreter.userFunctions;
+        if (functions.size === 0) {
+            console.log(chalk.gray('No user-defined functions'));
+            return;
+        }
+        functions.forEach(func => {
+            console.log(`  ${chalk.yellow('§' + func.name)}[${func.params.join('; ')}]`);
+        });
+    }
+
+    showPlugins() {
+        const plugins = this.interpreter.getPluginInfo();
+        if (plugins.length === 0) {
+            console.log(chalk.gray('No plugins loaded'));
+            return;
+        }
+        plugins.forEach(plugin => {
+            console.log(`  ${chalk.green(plugin.name)} ${chalk.gray(plugin.version || '')} ${plugin.functions.map(name => chalk.yellow('§' + name)).join(', ')}`);
+        });
+    }
+
+    /**
+     * :load file - run a file in the current session, keeping its variables and functions
+     * @param {string} file - Path relative to the working directory
+     */
+    async load(file) {
+        if (!file) {
+            console.error(chalk.red('Usage: :load <file>'));
+            return;
+        }
+
+        const filePath = path.resolve(file);
+        if (!fs.existsSync(filePath)) {
+            console.error(chalk.red(`File not found: ${filePath}`));
+            return;
+        }
+
+        const success = await this.interpreter.execute(fs.readFileSync(filePath, 'utf8'), path.relative(process.cwd(), filePath) || filePath);
+        if (success) {
+            console.log(chalk.gray(`Loaded ${file}`));
+        }
+    }
+
+    /**
+     * Tab completion of function names, keywords, variables and meta-commands
+     * @param {string} line - Text before the cursor
+     * @returns {array} - [matches, the text they replace]
+     */
+    complete(line) {
+        const meta = line.match(/^\s*(:\w*)$/);
+        if (meta) {
+            const names = Object.keys(META_COMMANDS).map(usage => usage.split(' ')[0]);
+            return [names.filter(name => name.startsWith(meta[1])), meta[1]];
+        }
+
+        const word = line.match(/([§$])(\w*)$/);
+        if (!word) {
+            return [[], line];
+        }
+
+        const [text, sigil, prefix] = word;
+        const names = sigil === '§'
+            ? [...Object.keys(this.interpreter.functions), ...this.interpreter.userFunctions.keys(), ...KEYWORDS]
+            : [...this.interpreter.scope.entries().keys()];
+
+        const matches = [...new Set(names)]
+            .filter(name => name.startsWith(prefix))
+            .sort()
+            .map(name => sigil + name);
+        return [matches, text];
+    }
+
+    /**
+     * @returns {array} - Saved lines, most recent first as readline expects
+     */
+    loadHistory() {
+        try {
+            return fs.readFileSync(this.historyFile, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .reverse()
+                .slice(0, HISTORY_SIZE);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * @param {array} history - readline history, most recent first
+     */
+    saveHistory(history) {
+        try {
+            fs.writeFileSync(this.historyFile, [...history].reverse().join('\n') + '\n', 'utf8');
+        } catch (error) {
+            if (this.debug) {
+                console.log(chalk.yellow(`[DEBUG REPL] Could not save history: ${error.message}`));
+            }
+        }
+    }
+}
+
+/**
+ * Whether a parse error only means the entry continues on the next line
+ * @param {Object} error - Parse error
+ * @returns {boolean}
+ */
+function isIncomplete(error) {
+    return /without matching §end\w+$/.test(error.message) ||
+        error.message.startsWith('Missing closing bracket') ||
+        error.message.startsWith('Unterminated multi-line string');
+}
+
+module.exports = EliosRepl;
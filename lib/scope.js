@@ -0,0 +1,102 @@
+/**
+ * Variable scopes for the Elios interpreter
+ *
+ * Scopes form a chain: block → function → file or module → global. Lookups walk the
+ * chain from the innermost scope outwards, so inner bindings shadow outer ones.
+ * - §local[name; value] always declares in the innermost scope
+ * - §var[name; value] updates the nearest existing binding, or creates the
+ *   variable in the nearest function, file, module (or global) scope, so each
+ *   required file keeps the variables it creates to itself
+ */
+class Scope {
+    /**
+     * @param {string} kind - 'global', 'file', 'module', 'function' or 'block'
+     * @param {Scope|null} parent - Enclosing scope
+     * @param {string} label - Name shown in debug output (file path, function name, block type)
+     * @param {Map} vars - Backing storage for the variables
+     */
+    constructor(kind, parent = null, label = '', vars = new Map()) {
+        this.kind = kind;
+        this.parent = parent;
+        this.label = label;
+        this.vars = vars;
+    }
+
+    /**
+     * Find the scope that holds a variable
+     * @param {string} name - Variable name
+     * @returns {Scope|null} - The owning scope, or null if undefined
+     */
+    lookup(name) {
+        let scope = this;
+        while (scope) {
+            if (scope.vars.has(name)) return scope;
+            scope = scope.parent;
+        }
+        return null;
+    }
+
+    has(name) {
+        return this.lookup(name) !== null;
+    }
+
+    get(name) {
+        const scope = this.lookup(name);
+        return scope ? scope.vars.get(name) : undefined;
+    }
+
+    /**
+     * Declare a variable in this scope, shadowing any outer binding
+     */
+    declare(name, value) {
+        this.vars.set(name, value);
+    }
+
+    /**
+     * Assign a variable following the §var rules
+     */
+    assign(name, value) {
+        const owner = this.lookup(name) || this.variableScope();
+        owner.vars.set(name, value);
+    }
+
+    /**
+     * Nearest scope where §var creates new variables
+     * @returns {Scope}
+     */
+    variableScope() {
+        let scope = this;
+        while (scope.parent && !['function', 'file', 'module'].includes(scope.kind)) {
+            scope = scope.parent;
+        }
+        return scope;
+    }
+
+    /**
+     * All visible variables, inner bindings taking precedence
+     * @returns {Map} - Variable name → value
+     */
+    entries() {
+        const visible = new Map();
+        for (const scope of this.chain().reverse()) {
+            scope.vars.forEach((value, key) => visible.set(key, value));
+        }
+        return visible;
+    }
+
+    /**
+     * Scopes from the innermost to the global scope
+     * @returns {array}
+     */
+    chain() {
+        const scopes = [];
+        let scope = this;
+        while (scope) {
+            scopes.push(scope);
+            scope = scope.parent;
+        }
+        return scopes;
+    }
+}
+
+module.exports = Scope;
@@ -3,6 +3,9 @@
  * Validates Elios code syntax without executing it
  */
 
+const { Parser } = require('./parser');
+const Tokenizer = require('./tokenizer');
+
 class SyntaxValidator {
   constructor() {
     this.errors = [];
@@ -23,11 +26,9 @@ class SyntaxValidator {
       return this.getResult();
     }
 
-    const lines = code.split('\n');
-
     // Validate each line
-    lines.forEach((line, index) => {
-      this.validateLine(line, index + 1);
+    this.logicalLines(code).forEach(({ text, lineNum }) => {
+      this.validateLine(text, lineNum);
     });
 
     // Check for block matching (if/while/etc)
@@ -39,6 +40,59 @@ class SyntaxValidator {
     return this.getResult();
   }
 
+  /**
+   * Split code into the lines checked by validateLine
+   * String literals are replaced by "" so their contents are not checked. A call whose
+   * arguments continue over several lines, or a multi-line string, joins the lines it
+   * spans into one, numbered by its first line
+   * @param {string} code - The Elios code
+   * @returns {Array} - [{ text, lineNum }]
+   */
+  logicalLines(code) {
+    const literals = new Tokenizer().tokenize(code).filter((token) => token.type === 'STRING' || token.type === 'COMMENT');
+    const lines = [];
+    let text = '';
+    let lineNum = 1;
+    let startLine = 1;
+    let position = 0;
+    let next = 0;
+    let depth = 0;
+
+    while (position < code.length) {
+      const literal = literals[next];
+
+      // Comments are kept as they are, without counting their brackets
+      if (literal && position === literal.start) {
+        text += literal.type === 'COMMENT' ? literal.value : '""';
+        lineNum += (code.slice(literal.start, literal.end).match(/\n/g) || []).length;
+        position = literal.end;
+        next++;
+        continue;
+      }
+
+      const char = code[position];
+
+      if (char === '[') depth++;
+      if (char === ']') depth = Math.max(depth - 1, 0);
+
+      if (char === '\n' && depth > 0) {
+        text += ' ';
+        lineNum++;
+      } else if (char === '\n') {
+        lines.push({ text, lineNum: startLine });
+        text = '';
+        lineNum++;
+        startLine = lineNum;
+      } else {
+        text += char;
+      }
+      position++;
+    }
+
+    lines.push({ text, lineNum: startLine });
+    return lines;
+  }
+
   /**
    * Validate individual line syntax
    */
@@ -67,46 +121,7 @@ class SyntaxValidator {
    * Validate function calls syntax
    */
   validateFunctionCalls(line, lineNum) {
-    // Pattern to match §func[...content...]
-    const functionPattern = /§([a-zA-Z_]\w*)\[/g;
-    let match;
-
-    while ((match = functionPattern.exec(line)) !== null) {
-      const functionName = match[1];
-      const startPos = match.index;
-
-      // Find the matching closing bracket for this function
-      let bracketCount = 0;
-      let foundOpening = false;
-      let foundClosing = false;
-
-      for (let i = startPos + 1; i < line.length; i++) {
-        const char = line[i];
-
-        if (char === '[' && !foundOpening) {
-          foundOpening = true;
-          bracketCount = 1;
-          continue;
-        }
-
-        if (foundOpening) {
-          if (char === '[') bracketCount++;
-          if (char === ']') {
-            bracketCount--;
-            if (bracketCount === 0) {
-              foundClosing = true;
-              break;
-            }
-          }
-        }
-      }
-
-      if (!foundClosing) {
-        this.errors.push(
-          `Line ${lineNum}: Missing closing bracket ']' for function '§${functionName}'`
-        );
-      }
-    }
+    // Missing closing brackets are reported by the parser in validateBlockMatching
 
     // Check for invalid function names (space, special chars)
     const invalidFuncPattern = /§([^a-zA-Z_[\]]+)/g;
@@ -178,70 +193,15 @@ class SyntaxValidator {
   }
 
   /**
-   * Validate control block matching (if/endif, while/endwhile)
+   * Validate control block matching (if/endif, while/endwhile, for/endfor, func/endfunc)
+   * using the same AST the interpreter executes
    */
   validateBlockMatching(code) {
-    const lines = code.split('\n');
-    const ifStack = [];
-    const whileStack = [];
+    const program = new Parser().parse(code);
 
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
-
-      // Skip comments and empty lines
-      if (!trimmed || trimmed.startsWith('#')) {
-        return;
-      }
-
-      // Check for if blocks
-      if (trimmed.match(/§if\[/)) {
-        ifStack.push(index + 1);
-      }
-      if (trimmed.match(/§endif/)) {
-        if (ifStack.length === 0) {
-          this.errors.push(
-            `Line ${index + 1}: §endif without matching §if`
-          );
-        } else {
-          ifStack.pop();
-        }
-      }
-
-      // Check for while blocks
-      if (trimmed.match(/§while\[/)) {
-        whileStack.push(index + 1);
-      }
-      if (trimmed.match(/§endwhile/)) {
-        if (whileStack.length === 0) {
-          this.errors.push(
-            `Line ${index + 1}: §endwhile without matching §while`
-          );
-        } else {
-          whileStack.pop();
-        }
-      }
-
-      // Check for func blocks
-      if (trimmed.match(/§func\[/)) {
-        // Function syntax validation
-        if (!trimmed.match(/§func\[[^\]]+\]\s*\[\s*$/)) {
-          // This is a simplified check
-        }
-      }
+    program.errors.forEach((error) => {
+      this.errors.push(error.toString());
     });
-
-    // Report unclosed blocks
-    if (ifStack.length > 0) {
-      ifStack.forEach((lineNum) => {
-        this.errors.push(`Line ${lineNum}: §if without matching §endif`);
-      });
-    }
-
-    if (whileStack.length > 0) {
-      whileStack.forEach((lineNum) => {
-        this.errors.push(`Line ${lineNum}: §while without matching §endwhile`);
-      });
-    }
   }
 
   /**
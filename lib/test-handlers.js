@@ -0,0 +1,91 @@
+const chalk = require('chalk');
+const { splitArgs } = require('./utils');
+const { EliosError, ExecutionAborted } = require('./errors');
+const { valuesEqual } = require('./expression');
+const { isList, isMap, formatValue } = require('./values');
+
+/**
+ * Show a value in an assertion message: text is quoted, lists and maps as literals
+ * @param {*} value
+ * @returns {string}
+ */
+function describe(value) {
+    return isList(value) || isMap(value) ? formatValue(value) : JSON.stringify(formatValue(value));
+}
+
+// Assertion handlers, used in §test blocks run by `elios test`. A failed assertion
+// throws an AssertionError, which fails the test (or can be caught with §try).
+module.exports = {
+    /**
+     * §assertEqual[actual; expected; message] - values compare like == in conditions
+     */
+    handleAssertEqual(args) {
+        const parts = splitArgs(args);
+        if (parts.length < 2) {
+            throw new EliosError('ArgumentError', '§assertEqual expects an actual and an expected value: §assertEqual[actual; expected]');
+        }
+
+        const actual = this.resolveValue(parts[0]);
+        const expected = this.resolveValue(parts[1]);
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG ASSERT] ${chalk.yellow(describe(actual))} == ${chalk.yellow(describe(expected))}`));
+        }
+
+        if (!valuesEqual(actual, expected)) {
+            const message = parts.length > 2 ? `${this.evaluateText(parts.slice(2).join(';'))}: ` : '';
+            throw new EliosError('AssertionError', `${message}Expected ${describe(expected)} but got ${describe(actual)}`);
+        }
+    },
+
+    /**
+     * §assertTrue[condition; message]
+     */
+    handleAssertTrue(args) {
+        const parts = splitArgs(args);
+        const condition = (parts[0] || '').trim();
+
+        if (!this.evaluateCondition(condition)) {
+            const message = parts.length > 1 ? `${this.evaluateText(parts.slice(1).join(';'))}: ` : '';
+            throw new EliosError('AssertionError', `${message}Expected ${condition} to be true`);
+        }
+    },
+
+    /**
+     * §assertThrows[expression; type] - the expression (usually a §call) must raise an error,
+     * of the given type when there is one. executeCall passes the arguments unevaluated, so
+     * user functions and async built-ins (§import...) in them run here, awaited by
+     * withCallResults(), where their errors can be caught.
+     */
+    async handleAssertThrows(args) {
+        const parts = splitArgs(args);
+        const expression = (parts[0] || '').trim();
+        const expectedType = parts.length > 1 ? this.evaluateText(parts[1]) : null;
+
+        let thrown = null;
+        try {
+            await this.withCallResults(expression, resolved => this.resolveValue(resolved));
+        } catch (error) {
+            if (error instanceof ExecutionAborted) {
+                throw error;
+            }
+            thrown = EliosError.from(error, this.currentLoc);
+        }
+
+        if (!thrown) {
+            throw new EliosError('AssertionError', `Expected ${expression} to throw${expectedType ? ' ' + expectedType : ''}`);
+        }
+        if (expectedType && thrown.type !== expectedType) {
+            throw new EliosError('AssertionError', `Expected ${expression} to throw ${expectedType}, but it threw ${thrown.type}: ${thrown.message}`);
+        }
+        if (this.debug) {
+            console.log(chalk.blue(`[DEBUG ASSERT] ${chalk.yellow(expression)} threw ${chalk.green(thrown.type)}`));
+        }
+    },
+
+    /**
+     * §testOutput[] - what §log printed so far in the running test, one line per §log
+     */
+    handleTestOutput(args) {
+        return this.logCapture ? this.logCapture.join('\n') : '';
+    }
+};
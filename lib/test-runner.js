@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const EliosInterpreter = require('./interpreter');
+const { EliosError, ExecutionAborted } = require('./errors');
+
+const TEST_FILE_SUFFIX = '.test.elios';
+const SKIPPED_DIRECTORIES = ['node_modules', 'addons'];
+
+/**
+ * Test runner: `elios test [paths...]`
+ *
+ * Runs every *.test.elios file found under the given paths (default: the working
+ * directory). Each file gets a fresh interpreter; its top-level code runs as usual and
+ * each §test[name] ... §endtest block is recorded as a passing or failing test. §log
+ * output is captured and shown for failed tests (or all of them with verbose).
+ */
+class EliosTestRunner {
+    /**
+     * @param {Object} options
+     * @param {string} options.filter - Only run tests whose name contains this text
+     * @param {boolean} options.tap - Report in TAP instead of the human readable format
+     * @param {string} options.junit - Also write a JUnit XML report to this file
+     * @param {boolean} options.verbose - Show the output of passing tests too
+     * @param {function} options.limitsFor - (filePath) → interpreter options for a test file
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.limitsFor = options.limitsFor || (() => ({}));
+    }
+
+    /**
+     * Find the test files under some paths
+     * @param {array} paths - Files or directories; defaults to the working directory
+     * @returns {array} - Absolute paths of the test files, sorted
+     * @throws {Error} - When a path does not exist
+     */
+    discover(paths) {
+        const files = [];
+        const visit = dir => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+                        visit(full);
+                    }
+                } else if (entry.name.endsWith(TEST_FILE_SUFFIX)) {
+                    files.push(full);
+                }
+            }
+        };
+
+        for (const target of paths.length > 0 ? paths : ['.']) {
+            const full = path.resolve(target);
+            if (!fs.existsSync(full)) {
+                throw new Error(`Test path not found: ${target}`);
+            }
+            if (fs.statSync(full).isDirectory()) {
+                visit(full);
+            } else {
+                files.push(full);
+            }
+        }
+
+        return [...new Set(files)].sort();
+    }
+
+    /**
+     * Run test files and report the results
+     * @param {array} files - From discover()
+     * @returns {Promise<Object>} - { results, passed, failed, duration }
+     */
+    async run(files) {
+        const started = Date.now();
+        const results = [];
+
+        for (const file of files) {
+            results.push(...await this.runFile(file));
+        }
+
+        const summary = {
+            results,
+            passed: results.filter(result => result.status === 'passed').length,
+            failed: results.filter(result => result.status !== 'passed').length,
+            duration: Date.now() - started
+        };
+
+        if (this.options.tap) {
+            this.reportTap(summary);
+        } else {
+            this.reportPretty(summary, files.length);
+        }
+        if (this.options.junit) {
+            fs.writeFileSync(this.options.junit, this.junitReport(summary), 'utf8');
+        }
+
+        return summary;
+    }
+
+    /**
+     * @param {string} file - Absolute path of a test file
+     * @returns {Promise<array>} - Test results; a file that could not be run completely
+     *   adds a result named after the file, with status 'error'
+     */
+    async runFile(file) {
+        const displayPath = path.relative(process.cwd(), file) || file;
+        const interpreter = new EliosInterpreter(false, this.limitsFor(file));
+        const fileOutput = [];
+        interpreter.testRun = { filter: this.options.filter || null, results: [] };
+        interpreter.logCapture = fileOutput;
+
+        const success = await interpreter.execute(fs.readFileSync(file, 'utf8'), displayPath);
+        const results = interpreter.testRun.results;
+
+        // §exit outside a test ends the file; whatever followed it never ran
+        if (success && interpreter.shouldExit) {
+            results.push({
+                name: `${displayPath} (file)`,
+                file: displayPath,
+                line: 1,
+                status: 'error',
+                error: new EliosError('ExitError', `§exit[${interpreter.exitCode}] ended the test file`),
+                output: fileOutput,
+                duration: 0
+            });
+        }
+
+        if (!success) {
+            const error = interpreter.lastError;
+            // An abort inside a test is already recorded on that test
+            if (!(error instanceof ExecutionAborted && results.some(result => result.error === error))) {
+                results.push({
+                    name: `${displayPath} (file)`,
+                    file: displayPath,
+                    line: error && error.line ? error.line : 1,
+                    status: 'error',
+                    error: error || new Error(interpreter.failure === 'validation' ? 'Syntax validation failed' : 'Run failed'),
+                    output: fileOutput,
+                    duration: 0
+                });
+            }
+        }
+
+        return results;
+    }
+
+    reportPretty(summary, fileCount) {
+        let currentFile = null;
+
+        for (const result of summary.results) {
+            if (result.file !== currentFile) {
+                currentFile = result.file;
+                console.log(chalk.cyan(`\n${currentFile}`));
+            }
+
+            const where = chalk.gray(`(line ${result.line}, ${result.duration}ms)`);
+            if (result.status === 'passed') {
+                console.log(`  ${chalk.green('✓')} ${result.name} ${where}`);
+            } else {
+                console.log(`  ${chalk.red('✗')} ${result.name} ${where}`);
+                console.log(chalk.red(`      ${describeError(result.error)}`));
+                console.log(chalk.gray(`      at ${result.file}:${errorLine(result)}`));
+            }
+
+            if (result.output.length > 0 && (result.status !== 'passed' || this.options.verbose)) {
+                console.log(chalk.gray('      Output:'));
+                result.output.forEach(line => console.log(chalk.gray(`        ${line}`)));
+            }
+        }
+
+        const counts = [chalk.green(`${summary.passed} passed`)];
+        if (summary.failed > 0) {
+            counts.push(chalk.red(`${summary.failed} failed`));
+        }
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        console.log(`\n${counts.join(', ')} ${chalk.gray(`(${plural(summary.results.length, 'test')} in ${plural(fileCount, 'file')}, ${summary.duration}ms)`)}`);
+    }
+
+    /**
+     * Test Anything Protocol, version 13, with YAML diagnostics for failures
+     */
+    reportTap(summary) {
+        console.log('TAP version 13');
+        console.log(`1..${summary.results.length}`);
+
+        summary.results.forEach((result, index) => {
+            const description = `${result.file} > ${result.name}`.replace(/#/g, '\\#');
+            if (result.status === 'passed') {
+                console.log(`ok ${index + 1} - ${description}`);
+                return;
+            }
+
+            console.log(`not ok ${index + 1} - ${description}`);
+            console.log('  ---');
+            console.log(`  message: ${JSON.stringify(describeError(result.error))}`);
+            console.log(`  severity: ${result.status === 'error' ? 'error' : 'fail'}`);
+            console.log(`  at: ${JSON.stringify(`${result.file}:${errorLine(result)}`)}`);
+            if (result.output.length > 0) {
+                console.log('  output: |');
+                result.output.forEach(line => console.log(`    ${line}`));
+            }
+            console.log('  ...');
+        });
+
+        console.log(`# pass ${summary.passed}`);
+        console.log(`# fail ${summary.failed}`);
+    }
+
+    /**
+     * @returns {string} - JUnit XML: one testsuite per file, one testcase per test
+     */
+    junitReport(summary) {
+        const seconds = ms => (ms / 1000).toFixed(3);
+        const files = new Map();
+        summary.results.forEach(result => {
+            if (!files.has(result.file)) {
+                files.set(result.file, []);
+            }
+            files.get(result.file).push(result);
+        });
+
+        // Failed assertions are failures; anything else that stopped a test is an error
+        const count = (results, status) => results.filter(result => result.status === status).length;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="elios" tests="${summary.results.length}" failures="${count(summary.results, 'failed')}" errors="${count(summary.results, 'error')}" time="${seconds(summary.duration)}">`
+        ];
+
+        files.forEach((results, file) => {
+            const time = results.reduce((total, result) => total + result.duration, 0);
+            lines.push(`  <testsuite name="${escapeXml(file)}" tests="${results.length}" failures="${count(results, 'failed')}" errors="${count(results, 'error')}" time="${seconds(time)}">`);
+
+            results.forEach(result => {
+                lines.push(`    <testcase name="${escapeXml(result.name)}" classname="${escapeXml(file)}" file="${escapeXml(file)}" line="${result.line}" time="${seconds(result.duration)}">`);
+                if (result.status !== 'passed') {
+                    const tag = result.status === 'error' ? 'error' : 'failure';
+                    const type = result.error && result.error.type ? result.error.type : 'Error';
+                    const message = describeError(result.error);
+                    lines.push(`      <${tag} message="${escapeXml(message)}" type="${escapeXml(type)}">${escapeXml(`${message}\n  at ${file}:${errorLine(result)}`)}</${tag}>`);
+                }
+                if (result.output.length > 0) {
+                    lines.push(`      <system-out>${escapeXml(result.output.join('\n'))}</system-out>`);
+                }
+                lines.push('    </testcase>');
+            });
+
+            lines.push('  </testsuite>');
+        });
+
+        lines.push('</testsuites>');
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * @param {Error} error - Error that failed a test
+ * @returns {string} - e.g. 'AssertionError: Expected "3" but got "4"'
+ */
+function describeError(error) {
+    if (!error) {
+        return 'Unknown error';
+    }
+    return error.type ? `${error.type}: ${error.message}` : error.message;
+}
+
+/**
+ * Line of the failing statement, or of the §test header when the error has none
+ */
+function errorLine(result) {
+    const error = result.error || {};
+    // Aborts carry their position in loc
+    const line = error.line || (error.loc && error.loc.line);
+    return line || result.line;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+module.exports = EliosTestRunner;
@@ -0,0 +1,85 @@
+/**
+ * Blocking stdin reads, one line at a time
+ *
+ * Lines are read byte by byte so nothing after the line break is consumed: §input
+ * and the `elios debug` console share stdin, and piped input must reach both.
+ *
+ * A synchronous fs.readSync(0) cannot be interrupted, and a thread left blocked in it
+ * keeps Node from exiting, so a read with a timeout happens in a child process that
+ * inherits stdin and is killed when the timeout expires.
+ */
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+
+const READER_SOURCE = `
+const fs = require('fs');
+const byte = Buffer.alloc(1);
+while (true) {
+    let count;
+    try {
+        count = fs.readSync(0, byte, 0, 1);
+    } catch (error) {
+        if (error.code !== 'EAGAIN') break;
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+        continue;
+    }
+    if (count === 0) break;
+    fs.writeSync(1, byte);
+    if (byte[0] === 0x0a) break;
+}
+`;
+
+/**
+ * Read one line of stdin, giving up after a timeout
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Buffer|null} - Bytes read, with the line break, or null when the timeout expired first
+ */
+function readStdinSync(timeout) {
+    if (timeout <= 0) {
+        return null;
+    }
+
+    const reader = spawnSync(process.execPath, ['-e', READER_SOURCE], {
+        stdio: [0, 'pipe', 'ignore'],
+        timeout
+    });
+    if (reader.error && reader.error.code === 'ETIMEDOUT') {
+        return null;
+    }
+    return reader.stdout || Buffer.alloc(0);
+}
+
+/**
+ * Read one line of stdin, waiting as long as it takes
+ * @returns {string|null} - The line without its line break, or null at the end of input
+ */
+function readLineSync() {
+    const byte = Buffer.alloc(1);
+    const bytes = [];
+
+    while (true) {
+        let count;
+        try {
+            count = fs.readSync(0, byte, 0, 1);
+        } catch (error) {
+            if (error.code !== 'EAGAIN') {
+                break; // End of input (EOF on Windows) or stdin closed
+            }
+            // Non-blocking stdin with nothing to read yet
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+            continue;
+        }
+
+        if (count === 0) {
+            break;
+        }
+        if (byte[0] === 0x0a) {
+            return Buffer.from(bytes).toString('utf8').replace(/\r$/, '');
+        }
+        bytes.push(byte[0]);
+    }
+
+    return bytes.length > 0 ? Buffer.from(bytes).toString('utf8') : null;
+}
+
+module.exports = { readStdinSync, readLineSync };
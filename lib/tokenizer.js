@@ -3,12 +3,16 @@
  * Breaks Elios code into meaningful tokens
  */
 
+const { readMultilineString, decodeEscapes } = require('./utils');
+
 class Token {
-  constructor(type, value, line, column) {
+  constructor(type, value, line, column, start = null, end = null) {
     this.type = type;
     this.value = value;
     this.line = line;
     this.column = column;
+    this.start = start; // Offset of the first character in the source
+    this.end = end; // Offset just past the last character
   }
 
   toString() {
@@ -23,6 +27,7 @@ class Tokenizer {
     this.column = 1;
     this.position = 0;
     this.code = '';
+    this.bracketDepth = 0;
   }
 
   /**
@@ -34,6 +39,7 @@ class Tokenizer {
     this.line = 1;
     this.column = 1;
     this.position = 0;
+    this.bracketDepth = 0;
 
     while (this.position < this.code.length) {
       const char = this.code[this.position];
@@ -46,14 +52,14 @@ class Tokenizer {
 
       // Handle newlines
       if (char === '\n') {
+        this.advance();
         this.line++;
         this.column = 1;
-        this.advance();
         continue;
       }
 
-      // Handle comments
-      if (char === '#') {
+      // Handle comments (only when '#' starts a line outside of a call's arguments)
+      if (char === '#' && this.isLineStart() && this.bracketDepth === 0) {
         this.skipComment();
         continue;
       }
@@ -64,20 +70,29 @@ class Tokenizer {
         continue;
       }
 
-      // Handle strings
-      if (char === '"' || char === "'") {
+      // Handle triple-quoted strings and heredocs, which may span several lines
+      if (this.code.startsWith('"""', this.position) || this.code.startsWith("'''", this.position) ||
+          /^<<[A-Za-z_]\w*[ \t]*\r?\n/.test(this.code.slice(this.position, this.position + 100))) {
+        this.tokenizeMultilineString();
+        continue;
+      }
+
+      // Handle strings (a quote inside a word, as in "don't", is an apostrophe)
+      if ((char === '"' || char === "'") && !this.isAlphaNumeric(this.code[this.position - 1] || '')) {
         this.tokenizeString();
         continue;
       }
 
       // Handle brackets
       if (char === '[') {
+        this.bracketDepth++;
         this.addToken('LBRACKET', '[');
         this.advance();
         continue;
       }
 
       if (char === ']') {
+        this.bracketDepth = Math.max(this.bracketDepth - 1, 0);
         this.addToken('RBRACKET', ']');
         this.advance();
         continue;
@@ -129,6 +144,7 @@ class Tokenizer {
   tokenizeFunction() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startPos = this.position;
 
     this.advance(); // Skip §
 
@@ -138,8 +154,18 @@ class Tokenizer {
       this.advance();
     }
 
+    // Exported module functions are called as §alias.name[...]
+    if (name && this.code[this.position] === '.' && /[a-zA-Z_]/.test(this.code[this.position + 1] || '')) {
+      name += '.';
+      this.advance();
+      while (this.position < this.code.length && (this.isAlphaNumeric(this.code[this.position]) || this.code[this.position] === '_')) {
+        name += this.code[this.position];
+        this.advance();
+      }
+    }
+
     if (name) {
-      this.tokens.push(new Token('FUNCTION', name, startLine, startColumn));
+      this.tokens.push(new Token('FUNCTION', name, startLine, startColumn, startPos, this.position));
     }
   }
 
@@ -149,6 +175,7 @@ class Tokenizer {
   tokenizeVariable() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startPos = this.position;
 
     this.advance(); // Skip $
 
@@ -162,9 +189,9 @@ class Tokenizer {
     }
 
     if (name) {
-      this.tokens.push(new Token('VARIABLE', name, startLine, startColumn));
+      this.tokens.push(new Token('VARIABLE', name, startLine, startColumn, startPos, this.position));
     } else {
-      this.tokens.push(new Token('OTHER', '$', startLine, startColumn));
+      this.tokens.push(new Token('OTHER', '$', startLine, startColumn, startPos, this.position));
     }
   }
 
@@ -174,29 +201,64 @@ class Tokenizer {
   tokenizeString() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startPos = this.position;
     const quote = this.code[this.position];
 
     this.advance(); // Skip opening quote
 
+    // Unterminated strings stop at the end of the line
     let value = '';
-    while (this.position < this.code.length && this.code[this.position] !== quote) {
-      if (this.code[this.position] === '\\') {
+    while (
+      this.position < this.code.length &&
+      this.code[this.position] !== quote &&
+      this.code[this.position] !== '\n'
+    ) {
+      if (this.code[this.position] === '\\' && this.position + 1 < this.code.length && this.code[this.position + 1] !== '\n') {
+        // Keep the escape sequence whole; it is decoded below
+        value += this.code[this.position];
+        this.advance();
+        value += this.code[this.position];
         this.advance();
-        if (this.position < this.code.length) {
-          value += this.code[this.position];
-          this.advance();
-        }
       } else {
         value += this.code[this.position];
         this.advance();
       }
     }
 
-    if (this.position < this.code.length) {
+    if (this.position < this.code.length && this.code[this.position] === quote) {
       this.advance(); // Skip closing quote
     }
 
-    this.tokens.push(new Token('STRING', value, startLine, startColumn));
+    this.tokens.push(new Token('STRING', decodeEscapes(value), startLine, startColumn, startPos, this.position));
+  }
+
+  /**
+   * Tokenize """...""", '''...''' and <<TAG heredoc strings, counting the lines they span
+   */
+  tokenizeMultilineString() {
+    const startLine = this.line;
+    const startColumn = this.column;
+    const startPos = this.position;
+    const literal = readMultilineString(this.code, this.position);
+
+    // Unterminated literals run to the end of the file; the parser reports them
+    const end = literal ? literal.end : this.code.length;
+    while (this.position < end) {
+      if (this.code[this.position] === '\n') {
+        this.line++;
+        this.column = 1;
+        this.position++;
+      } else {
+        this.advance();
+      }
+    }
+
+    const value = !literal ? this.code.slice(startPos) : literal.escapes ? decodeEscapes(literal.body) : literal.body;
+    const token = new Token('STRING', value, startLine, startColumn, startPos, this.position);
+    if (!literal) {
+      token.unterminated = true;
+    }
+    this.tokens.push(token);
   }
 
   /**
@@ -205,6 +267,7 @@ class Tokenizer {
   tokenizeIdentifier() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startPos = this.position;
 
     let value = '';
     while (
@@ -221,11 +284,11 @@ class Tokenizer {
 
     // Identify keywords
     if (value === 'true' || value === 'false') {
-      this.tokens.push(new Token('BOOLEAN', value, startLine, startColumn));
+      this.tokens.push(new Token('BOOLEAN', value, startLine, startColumn, startPos, this.position));
     } else if (value === 'if' || value === 'endif' || value === 'while' || value === 'endwhile' || value === 'func') {
-      this.tokens.push(new Token('KEYWORD', value, startLine, startColumn));
+      this.tokens.push(new Token('KEYWORD', value, startLine, startColumn, startPos, this.position));
     } else {
-      this.tokens.push(new Token('IDENTIFIER', value, startLine, startColumn));
+      this.tokens.push(new Token('IDENTIFIER', value, startLine, startColumn, startPos, this.position));
     }
   }
 
@@ -235,6 +298,7 @@ class Tokenizer {
   tokenizeNumber() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startPos = this.position;
 
     let value = '';
     while (this.position < this.code.length && (this.isDigit(this.code[this.position]) || this.code[this.position] === '.')) {
@@ -242,16 +306,33 @@ class Tokenizer {
       this.advance();
     }
 
-    this.tokens.push(new Token('NUMBER', value, startLine, startColumn));
+    this.tokens.push(new Token('NUMBER', value, startLine, startColumn, startPos, this.position));
   }
 
   /**
-   * Skip comments
+   * Read a comment up to the end of the line
    */
   skipComment() {
+    const startLine = this.line;
+    const startColumn = this.column;
+    const startPos = this.position;
+
     while (this.position < this.code.length && this.code[this.position] !== '\n') {
       this.advance();
     }
+
+    this.tokens.push(new Token('COMMENT', this.code.slice(startPos, this.position), startLine, startColumn, startPos, this.position));
+  }
+
+  /**
+   * Helper: Check if only whitespace precedes the current position on its line
+   */
+  isLineStart() {
+    let i = this.position - 1;
+    while (i >= 0 && (this.code[i] === ' ' || this.code[i] === '\t')) {
+      i--;
+    }
+    return i < 0 || this.code[i] === '\n' || this.code[i] === '\r';
   }
 
   /**
@@ -272,7 +353,7 @@ class Tokenizer {
    * Add token to list
    */
   addToken(type, value) {
-    this.tokens.push(new Token(type, value, this.line, this.column));
+    this.tokens.push(new Token(type, value, this.line, this.column, this.position, this.position + value.length));
   }
 
   /**
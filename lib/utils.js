@@ -40,6 +40,14 @@ function splitArgs(args) {
     for (let i = 0; i < args.length; i++) {
         const char = args[i];
         
+        // Multi-line strings are kept whole, whatever they contain
+        const multiline = !inQuotes ? readMultilineString(args, i) : null;
+        if (multiline) {
+            current += args.slice(i, multiline.end);
+            i = multiline.end - 1;
+            continue;
+        }
+        
         if ((char === '"' || char === "'") && !inQuotes) {
             inQuotes = true;
             quoteChar = char;
@@ -64,11 +72,94 @@ function splitArgs(args) {
     return parts;
 }
 
+/**
+ * Read a multi-line string literal starting at index
+ * - """text""" or '''text''': escapes are decoded; a line break right after the opening
+ *   quotes and right before the closing ones is dropped
+ * - <<TAG heredoc: the lines up to a line starting with TAG, taken literally
+ * @param {string} text - Text to scan
+ * @param {number} index - Index where the literal may start
+ * @returns {Object|null} - { end, body, escapes } or null if no complete literal starts here
+ */
+function readMultilineString(text, index) {
+    const quote = text.startsWith('"""', index) ? '"""' : text.startsWith("'''", index) ? "'''" : null;
+
+    if (quote) {
+        let close = index + 3;
+        while (close < text.length && !text.startsWith(quote, close)) {
+            close += text[close] === '\\' ? 2 : 1;
+        }
+        if (close >= text.length) return null;
+
+        const body = text.slice(index + 3, close).replace(/^\r?\n/, '').replace(/\r?\n[ \t]*$/, '');
+        return { end: close + 3, body, escapes: true };
+    }
+
+    const heredoc = text.slice(index, index + 100).match(/^<<([A-Za-z_]\w*)[ \t]*\r?\n/);
+    if (heredoc) {
+        const bodyStart = index + heredoc[0].length;
+        const terminator = new RegExp(`^[ \\t]*${heredoc[1]}(?!\\w)`, 'm');
+        const match = terminator.exec(text.slice(bodyStart));
+        if (!match) return null;
+
+        const body = text.slice(bodyStart, bodyStart + match.index).replace(/\r?\n$/, '');
+        return { end: bodyStart + match.index + match[0].length, body, escapes: false };
+    }
+
+    return null;
+}
+
+/**
+ * Decode escape sequences in a string literal: \n \t \r \0 \\ \" \' \u{1F600} \u00e9
+ * Unknown sequences such as \d are kept as they are
+ * @param {string} text - Literal contents
+ * @returns {string}
+ */
+function decodeEscapes(text) {
+    const simple = { n: '\n', t: '\t', r: '\r', 0: '\0', '\\': '\\', '"': '"', "'": "'" };
+
+    return text.replace(/\\(u\{([0-9a-fA-F]{1,6})\}|u([0-9a-fA-F]{4})|[ntr0\\"'])/g, (match, sequence, braced, short) => {
+        if (braced || short) {
+            const codePoint = parseInt(braced || short, 16);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        }
+        return simple[sequence];
+    });
+}
+
+/**
+ * Find the index of the bracket matching the one at openIndex
+ * @param {string} text - Text to scan
+ * @param {number} openIndex - Index of the opening bracket
+ * @param {string} open - Opening bracket character
+ * @param {string} close - Closing bracket character
+ * @returns {number} - Index of the matching bracket, or -1 if unbalanced
+ */
+function findClosingBracket(text, openIndex, open = '[', close = ']') {
+    let bracketCount = 0;
+
+    for (let i = openIndex; i < text.length; i++) {
+        if (text[i] === open) bracketCount++;
+        if (text[i] === close) {
+            bracketCount--;
+            if (bracketCount === 0) return i;
+        }
+    }
+
+    return -1;
+}
+
 function cleanQuotes(text) {
     let result = text.trim();
-    if ((result.startsWith('"') && result.endsWith('"')) || 
-        (result.startsWith("'") && result.endsWith("'"))) {
-        result = result.slice(1, -1);
+
+    const multiline = readMultilineString(result, 0);
+    if (multiline && multiline.end === result.length) {
+        return multiline.escapes ? decodeEscapes(multiline.body) : multiline.body;
+    }
+
+    if (result.length >= 2 && ((result.startsWith('"') && result.endsWith('"')) || 
+        (result.startsWith("'") && result.endsWith("'")))) {
+        result = decodeEscapes(result.slice(1, -1));
     }
     return result;
 }
@@ -77,5 +168,8 @@ module.exports = {
     extractType1Functions,
     extractType2Functions,
     splitArgs,
+    findClosingBracket,
+    readMultilineString,
+    decodeEscapes,
     cleanQuotes
 };
\ No newline at end of file
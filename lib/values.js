@@ -0,0 +1,96 @@
+/**
+ * Elios value helpers
+ * Scalars are strings; lists are JavaScript arrays and maps are JavaScript Maps of Elios values.
+ * Whenever a list or map ends up in text it is written as JSON, so it can be read back.
+ */
+
+const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+function isList(value) {
+    return Array.isArray(value);
+}
+
+function isMap(value) {
+    return value instanceof Map;
+}
+
+/**
+ * Convert an Elios value to its text form
+ * @param {*} value - Elios value (or a raw handler result)
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (isList(value)) {
+        return '[' + value.map(formatItem).join(', ') + ']';
+    }
+    if (isMap(value)) {
+        const entries = Array.from(value.entries()).map(([key, item]) => `${JSON.stringify(key)}: ${formatItem(item)}`);
+        return '{' + entries.join(', ') + '}';
+    }
+    return String(value);
+}
+
+/**
+ * Format a value nested in a list, quoting strings so the result stays valid JSON
+ */
+function formatItem(value) {
+    if (isList(value) || isMap(value)) {
+        return formatValue(value);
+    }
+    const text = formatValue(value);
+    if (JSON_NUMBER.test(text) || text === 'true' || text === 'false' || text === 'null') {
+        return text;
+    }
+    return JSON.stringify(text);
+}
+
+/**
+ * Convert parsed JSON data to Elios values
+ * @param {*} data - Result of JSON.parse
+ * @returns {*} - Elios value
+ */
+function fromJson(data) {
+    if (Array.isArray(data)) {
+        return data.map(fromJson);
+    }
+    if (data !== null && typeof data === 'object') {
+        return new Map(Object.entries(data).map(([key, item]) => [key, fromJson(item)]));
+    }
+    return String(data);
+}
+
+/**
+ * Follow a dotted path such as server.port through maps and lists
+ * @param {*} value - Starting value
+ * @param {array} segments - Path segments
+ * @returns {Object} - { value, rest }: the value reached and the segments that could not be followed
+ */
+function followPath(value, segments) {
+    let current = value;
+    let index = 0;
+
+    while (index < segments.length) {
+        const segment = segments[index];
+        if (isMap(current)) {
+            current = current.has(segment) ? current.get(segment) : '';
+        } else if (isList(current) && /^\d+$/.test(segment)) {
+            current = parseInt(segment, 10) < current.length ? current[parseInt(segment, 10)] : '';
+        } else {
+            break;
+        }
+        index++;
+    }
+
+    return { value: current, rest: segments.slice(index) };
+}
+
+module.exports = {
+    isList,
+    isMap,
+    formatValue,
+    fromJson,
+    followPath
+};
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const DapClient = require('../../tools/dap-client');
+const { makeProject } = require('./helpers');
+
+// A session stuck waiting (e.g. on stdin) fails instead of blocking the run
+const SESSION = { timeout: 30000 };
+
+/**
+ * Debug a program through `elios --dap` until it ends
+ * @param {string} program - Path of the program
+ * @param {Object} options - { breakpoints: lines, onStop: async (client, stopped) => resume command }
+ * @returns {Promise<Object>} - { output, exitCode }
+ */
+async function debugProgram(program, options = {}) {
+    const client = new DapClient();
+    client.start();
+
+    let output = '';
+    let exitCode = null;
+    let stops = Promise.resolve();
+    client.on('output', body => {
+        output += body.output;
+    });
+    client.on('exited', body => {
+        exitCode = body.exitCode;
+    });
+    client.on('stopped', stopped => {
+        stops = stops.then(async () => {
+            const command = await options.onStop(client, stopped);
+            await client.request(command, { threadId: stopped.threadId });
+        });
+    });
+
+    const initialized = client.once('initialized');
+    await client.request('initialize', { adapterID: 'elios', linesStartAt1: true, columnsStartAt1: true });
+    await initialized;
+    await client.request('launch', { program });
+    await client.request('setBreakpoints', {
+        source: { path: program },
+        breakpoints: (options.breakpoints || []).map(line => ({ line }))
+    });
+    const terminated = client.once('terminated');
+    await client.request('configurationDone');
+    await terminated;
+    await stops;
+    await client.request('disconnect');
+    await client.exited;
+    return { output, exitCode };
+}
+
+function writeProgram(t, code) {
+    const dir = makeProject({ 'main.elios': code });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'main.elios');
+}
+
+test('the program runs to the end and its output arrives as events', SESSION, async t => {
+    const program = writeProgram(t, '§log[hello]\n§exit[3]\n');
+    const { output, exitCode } = await debugProgram(program);
+    assert.match(output, /hello/);
+    assert.equal(exitCode, 3);
+});
+
+test('a breakpoint stops the program with its variables and evaluations', SESSION, async t => {
+    const program = writeProgram(t, '§var[total; 5]\n§var[total; $total * 2]\n§log[done $total]\n');
+    const seen = {};
+    const { output } = await debugProgram(program, {
+        breakpoints: [2],
+        onStop: async (client, stopped) => {
+            const { stackFrames } = await client.request('stackTrace', { threadId: stopped.threadId });
+            seen.line = stackFrames[0].line;
+            const { scopes } = await client.request('scopes', { frameId: stackFrames[0].id });
+            const { variables } = await client.request('variables', { variablesReference: scopes[0].variablesReference });
+            seen.total = variables.find(variable => variable.name === '$total').value;
+            seen.evaluated = (await client.request('evaluate', { expression: '$total + 1', frameId: stackFrames[0].id })).result;
+            return 'continue';
+        }
+    });
+    assert.deepEqual(seen, { line: 2, total: '5', evaluated: '6' });
+    assert.match(output, /done 10/);
+});
+
+test('§input raises an IOError instead of reading the protocol stream', SESSION, async t => {
+    const program = writeProgram(t, [
+        '§try',
+        '    §var[name; §input[Name?]]',
+        '§catch[err]',
+        '    §log[$err.type: $err.message]',
+        '§endtry',
+        '§log[still running]',
+        ''
+    ].join('\n'));
+    const { output, exitCode } = await debugProgram(program);
+    assert.match(output, /IOError: §input cannot read standard input/);
+    assert.match(output, /still running/);
+    assert.equal(exitCode, 0);
+});
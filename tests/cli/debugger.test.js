@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { runElios, makeProject } = require('./helpers');
+
+const PROGRAM = [
+    '§func[double; n]',
+    '    §return[$n * 2]',
+    '§endfunc',
+    '§var[total; 5]',
+    '§var[total; §double[$total]]',
+    '§breakpoint[]',
+    '§log[done $total]',
+    ''
+].join('\n');
+
+/**
+ * Run `elios debug main.elios` with commands typed at its pauses
+ * @param {TestContext} t - The running test, which removes the project afterwards
+ * @param {array} commands - Lines typed at the (edb) prompt, or read by §input
+ * @param {array} args - Extra arguments, e.g. ['--break', '5']
+ * @param {string} code - The program
+ * @returns {Object} - { status, stdout, stderr }
+ */
+function debug(t, commands, args = [], code = PROGRAM) {
+    const dir = makeProject({ 'main.elios': code });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return runElios(['debug', 'main.elios', ...args], { cwd: dir, input: commands.join('\n') + '\n' });
+}
+
+test('--break and §breakpoint[] pause the program where they are', t => {
+    const { status, stdout } = debug(t, ['c', 'c'], ['--break', '5']);
+    assert.equal(status, 0);
+    assert.match(stdout, /Paused \(breakpoint\) at main\.elios:5/);
+    assert.match(stdout, /Paused \(breakpoint\) at main\.elios:6/);
+    assert.match(stdout, /done 10/);
+});
+
+test('print, vars and stack show the paused program', t => {
+    const { stdout } = debug(t, ['p $total + 1', 'v', 'bt', 'c']);
+    assert.match(stdout, /\(edb\) 11/);
+    assert.match(stdout, /\$total = 10/);
+    assert.match(stdout, /at <main> \(main\.elios:6:1\)/);
+});
+
+test('step enters a function call and out leaves it', t => {
+    const { stdout } = debug(t, ['s', 'bt', 'o', 'p $total', 'c', 'c'], ['--break', '5']);
+    assert.match(stdout, /Paused \(step\) at main\.elios:2/);
+    assert.match(stdout, /at §double \(main\.elios:2:5\)/);
+    assert.match(stdout, /\(edb\) 10/);
+});
+
+test('§input reads the line after the command that resumed the program', t => {
+    const code = '§breakpoint[]\n§var[name; §input[who?]]\n§log[hello $name]\n';
+    const { status, stdout } = debug(t, ['c', 'Ada'], [], code);
+    assert.equal(status, 0);
+    assert.match(stdout, /hello Ada/);
+});
+
+test('quit stops the program', t => {
+    const { status, stdout } = debug(t, ['q']);
+    assert.equal(status, 0);
+    assert.doesNotMatch(stdout, /done/);
+});
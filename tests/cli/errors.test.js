@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { runElios, makeProject } = require('./helpers');
+
+/**
+ * Run main.elios of a new project
+ * @param {TestContext} t - The running test, which removes the project afterwards
+ * @param {Object} files - Relative path → content, with main.elios
+ * @returns {Object} - { status, stdout, stderr }
+ */
+function runProject(t, files) {
+    const dir = makeProject(files);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return runElios(['main.elios'], { cwd: dir });
+}
+
+const output = result => result.stdout + result.stderr;
+
+test('runtime errors show file:line:column and the source line', t => {
+    const result = runProject(t, { 'main.elios': '§var[x; 1]\n§if[$x == 1]\n    §throw[BadThing; broke]\n§endif\n' });
+    assert.equal(result.status, 1);
+    assert.match(output(result), /Uncaught BadThing: broke\n\s+--> main\.elios:3:5\n\s+\|\n3 \|     §throw\[BadThing; broke\]\n\s+\|     \^/);
+});
+
+test('errors that do not stop the program are located too', t => {
+    const result = runProject(t, { 'main.elios': '§log[start]\n§for[i; a; 3]\n§endfor\n§log[end]\n' });
+    assert.equal(result.status, 0);
+    assert.match(output(result), /Error: §for bounds must be numbers: i; a; 3\n\s+--> main\.elios:2:1/);
+    assert.match(result.stdout, /end/);
+});
+
+test('errors in a required file point into that file', t => {
+    const result = runProject(t, {
+        'main.elios': '§log[start]\n§require[part]\n',
+        'part.elios': '§log[loading]\n\n§throw[PartError; in part]\n'
+    });
+    assert.equal(result.status, 1);
+    assert.match(output(result), /--> part\.elios:3:1\n\s+\|\n3 \| §throw\[PartError; in part\]/);
+});
+
+test('an uncaught error prints the stack through functions and required files', t => {
+    const result = runProject(t, {
+        'main.elios': '§func[inner; x]\n    §throw[BadThing; broke with $x]\n§endfunc\n§func[outer]\n    §inner[7]\n§endfunc\n§require[part]\n',
+        'part.elios': '§log[loading]\n§outer[]\n'
+    });
+    assert.equal(result.status, 1);
+    const stack = output(result).split('Stack trace:\n')[1].split('\n').map(line => line.trim()).filter(Boolean);
+    assert.deepEqual(stack.slice(0, 6), [
+        'at §throw (built-in)',
+        'at §inner (main.elios:2:5)',
+        'at §outer (main.elios:5:5)',
+        'at §require part.elios (part.elios:2:1)',
+        'at §require (built-in)',
+        'at <main> (main.elios:7:1)'
+    ]);
+});
+
+test('a caught error keeps its stack in $err.stack', t => {
+    const result = runProject(t, {
+        'main.elios': '§func[fail]\n    §throw[oops]\n§endfunc\n§try\n    §fail[]\n§catch[err]\n    §log[$err.stack]\n§endtry\n'
+    });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /at §throw \(built-in\)\nat §fail \(main\.elios:2:5\)\nat <main> \(main\.elios:5:5\)/);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { runElios, makeProject } = require('./helpers');
+
+/**
+ * Run a program in a temporary project, removed when the test ends
+ * @param {TestContext} t - The running test
+ * @param {Object} files - Relative path → content; main.elios is run
+ * @param {array} options - Extra command line options
+ * @returns {Object} - { status, stdout, stderr }
+ */
+function runProgram(t, files, options = []) {
+    const dir = makeProject(files);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return runElios(['main.elios', ...options], { cwd: dir });
+}
+
+test('a program that ends normally exits with 0', t => {
+    assert.equal(runProgram(t, { 'main.elios': '§log[done]\n' }).status, 0);
+});
+
+test('§exit[n] gives the exit status', t => {
+    const result = runProgram(t, { 'main.elios': '§exit[3]\n§log[not reached]\n' });
+    assert.equal(result.status, 3);
+    assert.match(result.stdout, /Program exited with code 3/);
+    assert.doesNotMatch(result.stdout, /not reached/);
+});
+
+test('the code of §exit is evaluated', t => {
+    const main = '§var[base; 40]\n§exit[$base + 2]\n';
+    assert.equal(runProgram(t, { 'main.elios': main }).status, 42);
+    assert.equal(runProgram(t, { 'main.elios': '§exit[§add[1; 2]]\n' }).status, 3);
+});
+
+test('§exit works from nested blocks, functions and required files', t => {
+    const nested = `§func[stop; code]
+    §foreach[n; [1; 2; 3]]
+        §if[$n == 2]
+            §exit[$code]
+        §endif
+    §endforeach
+§endfunc
+§stop[7]
+§log[not reached]
+`;
+    const result = runProgram(t, { 'main.elios': nested });
+    assert.equal(result.status, 7);
+    assert.doesNotMatch(result.stdout, /not reached/);
+
+    const required = runProgram(t, {
+        'main.elios': '§require[lib/stop]\n§log[not reached]\n',
+        'lib/stop.elios': '§exit[5]\n'
+    });
+    assert.equal(required.status, 5);
+    assert.doesNotMatch(required.stdout, /not reached/);
+});
+
+test('§exit rejects codes that are not whole numbers from 0 to 255', t => {
+    for (const code of ['300', 'abc', '-1', '2.5']) {
+        const result = runProgram(t, { 'main.elios': `§exit[${code}]\n` });
+        assert.equal(result.status, 1, `§exit[${code}]`);
+        assert.match(result.stderr, /Uncaught ArgumentError: §exit expects a whole number from 0 to 255/);
+    }
+
+    const caught = runProgram(t, { 'main.elios': '§try\n    §exit[300]\n§catch[err]\n    §log[$err.type]\n§endtry\n' });
+    assert.equal(caught.status, 0);
+    assert.match(caught.stdout, /ArgumentError/);
+});
+
+test('an uncaught runtime error exits with 1, a caught one with 0', t => {
+    assert.equal(runProgram(t, { 'main.elios': '§throw[broken]\n' }).status, 1);
+    assert.equal(runProgram(t, { 'main.elios': '§try\n    §throw[broken]\n§catch[err]\n§endtry\n' }).status, 0);
+});
+
+test('invalid syntax exits with 2 before anything runs', t => {
+    const result = runProgram(t, { 'main.elios': '§log[ran]\n§if[1]\n' });
+    assert.equal(result.status, 2);
+    assert.doesNotMatch(result.stdout, /^ran$/m);
+});
+
+test('usage errors exit with 64', t => {
+    const dir = makeProject({});
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    assert.equal(runElios(['missing.elios'], { cwd: dir }).status, 64);
+    assert.equal(runElios(['--which'], { cwd: dir }).status, 64);
+    assert.equal(runProgram(t, { 'main.elios': '§log[x]\n' }, ['--timeout', 'soon']).status, 64);
+});
+
+test('a run stopped by --timeout or --max-instructions exits with 124', t => {
+    const loop = '§while[true; max=100000000]\n    §var[x; 1]\n§endwhile\n';
+    assert.equal(runProgram(t, { 'main.elios': loop }, ['--timeout', '200']).status, 124);
+    assert.equal(runProgram(t, { 'main.elios': loop }, ['--max-instructions', '50']).status, 124);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EliosFormatter = require('../../tools/format');
+
+const format = code => new EliosFormatter().format(code);
+
+test('the arguments of a call spanning lines are indented by bracket depth', () => {
+    const code = '§if[1]\n§var[x; §add[\n1;\n2\n]]\n§endif\n';
+    assert.equal(format(code), '§if[1]\n    §var[x; §add[\n            1;\n            2\n        ]]\n§endif\n');
+});
+
+test('formatting twice changes nothing more', () => {
+    const code = '§func[sum; a; b]\n§return[§add[\n$a;\n$b\n]]\n§endfunc\n';
+    const formatted = format(code);
+    assert.equal(formatted, '§func[sum; a; b]\n    §return[§add[\n            $a;\n            $b\n        ]]\n§endfunc\n');
+    assert.equal(format(formatted), formatted);
+});
+
+test('the inside of multi-line strings is left as written', () => {
+    const code = '§if[1]\n§var[text; """\n  kept\n"""]\n§var[raw; <<EOT\n    as is\nEOT]\n§endif\n';
+    assert.equal(format(code), '§if[1]\n    §var[text; """\n  kept\n"""]\n    §var[raw; <<EOT\n    as is\nEOT]\n§endif\n');
+});
@@ -0,0 +1,60 @@
+/**
+ * Helpers for the tests that run the elios command line: `node --test tests/cli/*.test.js`
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CLI = path.join(ROOT, 'cli.js');
+// chalk leaves the output plain without colors
+const ENV = { ...process.env, FORCE_COLOR: '0' };
+
+/**
+ * Run the elios command and wait for it
+ * @param {array} args - Command line arguments
+ * @param {Object} options - { cwd, input, env }: working directory (default: the repository),
+ *   stdin text and extra environment variables
+ * @returns {Object} - { status, stdout, stderr }
+ */
+function runElios(args, options = {}) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        cwd: options.cwd || ROOT,
+        input: options.input || '',
+        encoding: 'utf8',
+        env: { ...ENV, ...options.env },
+        timeout: 30000
+    });
+    if (result.error) {
+        throw result.error;
+    }
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Start the elios command for a conversation over stdin/stdout (REPL, DAP, LSP)
+ * @param {array} args - Command line arguments
+ * @param {Object} options - { cwd }
+ * @returns {ChildProcess}
+ */
+function startElios(args, options = {}) {
+    return spawn(process.execPath, [CLI, ...args], { cwd: options.cwd || ROOT, env: ENV });
+}
+
+/**
+ * Write files into a new temporary directory
+ * @param {Object} files - Relative path → content
+ * @returns {string} - The directory
+ */
+function makeProject(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'elios-test-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content, 'utf8');
+    }
+    return dir;
+}
+
+module.exports = { ROOT, CLI, runElios, startElios, makeProject };
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EliosLinter = require('../../tools/lint');
+
+const lint = code => new EliosLinter().lint(code);
+
+test('an import alias used only in nested calls counts as used', () => {
+    const { warnings } = lint('§import[std/math; math]\n§log[max: §math.max[1; 2]]\n§var[big; §math.pow[2; 10]]\n§log[$big]\n');
+    assert.deepEqual(warnings, []);
+});
+
+test('an import alias that is never used is reported', () => {
+    const { warnings } = lint('§import[std/math; math]\n§log[nothing]\n');
+    assert.deepEqual(warnings, ['Line 1: Unused variable "$math"']);
+});
+
+test('user functions are checked against their parameters', () => {
+    const code = '§func[now]\n    §return[§time[]]\n§endfunc\n§func[twice; n]\n    §return[$n * 2]\n§endfunc\n§log[§now[] §twice[]]\n';
+    assert.deepEqual(lint(code).warnings, ['Line 7: "twice" expects 1 argument(s): n']);
+});
+
+test('built-ins that need arguments are reported when called without', () => {
+    const { warnings } = lint('§log[§upper[] §time[]]\n§helper[]\n');
+    assert.deepEqual(warnings, ['Line 1: "upper" may require arguments']);
+});
+
+test('undefined and unused variables are reported', () => {
+    const { warnings } = lint('§var[unused; 1]\n§log[$missing]\n');
+    assert.deepEqual(warnings, ['Line 2: Undefined variable "$missing"', 'Line 1: Unused variable "$unused"']);
+});
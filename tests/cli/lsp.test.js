@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { encodeMessage, createMessageReader } = require('../../lib/protocol-stream');
+const { ROOT, startElios } = require('./helpers');
+
+// A server that stops answering fails the test instead of blocking the run
+const SESSION = { timeout: 30000 };
+const URI = pathToFileURL(path.join(ROOT, 'tests', 'fixtures', 'editor.elios')).href;
+
+/**
+ * A client talking to `elios lsp` over its stdin/stdout
+ */
+class LspClient {
+    constructor() {
+        this.child = startElios(['lsp']);
+        this.nextId = 1;
+        this.pending = new Map(); // Request id → resolve
+        this.notifications = []; // { method, params } in arrival order, consumed by notification()
+        this.waiting = null; // { method, resolve } of a pending notification()
+        this.exited = new Promise(resolve => this.child.on('exit', resolve));
+        this.child.stdout.on('data', createMessageReader(message => this.handle(message)));
+    }
+
+    handle(message) {
+        if (message.id !== undefined && this.pending.has(message.id)) {
+            this.pending.get(message.id)(message);
+            this.pending.delete(message.id);
+            return;
+        }
+        if (this.waiting && this.waiting.method === message.method) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(message.params);
+            return;
+        }
+        this.notifications.push(message);
+    }
+
+    request(method, params = {}) {
+        const id = this.nextId++;
+        this.child.stdin.write(encodeMessage({ jsonrpc: '2.0', id, method, params }));
+        return new Promise(resolve => this.pending.set(id, resolve));
+    }
+
+    notify(method, params = {}) {
+        this.child.stdin.write(encodeMessage({ jsonrpc: '2.0', method, params }));
+    }
+
+    /**
+     * @param {string} method - Notification name
+     * @returns {Promise<Object>} - Params of the first such notification not consumed yet
+     */
+    notification(method) {
+        const index = this.notifications.findIndex(message => message.method === method);
+        if (index !== -1) {
+            return Promise.resolve(this.notifications.splice(index, 1)[0].params);
+        }
+        return new Promise(resolve => {
+            this.waiting = { method, resolve };
+        });
+    }
+
+    /**
+     * Open a document and wait for its diagnostics
+     * @param {string} text - Document text
+     * @returns {Promise<array>} - Published diagnostics
+     */
+    async open(text) {
+        await this.request('initialize', { rootUri: pathToFileURL(ROOT).href, capabilities: {} });
+        this.notify('initialized');
+        this.notify('textDocument/didOpen', { textDocument: { uri: URI, languageId: 'elios', version: 1, text } });
+        return (await this.notification('textDocument/publishDiagnostics')).diagnostics;
+    }
+
+    async stop() {
+        await this.request('shutdown');
+        this.notify('exit');
+        return await this.exited;
+    }
+}
+
+/**
+ * Run a session with an open document
+ * @param {TestContext} t - The running test, which stops the server afterwards
+ * @param {string} text - Document text
+ * @returns {Promise<Object>} - { client, diagnostics }
+ */
+async function openDocument(t, text) {
+    const client = new LspClient();
+    t.after(() => client.child.exitCode === null && client.child.kill());
+    const diagnostics = await client.open(text);
+    return { client, diagnostics };
+}
+
+const at = (line, character) => ({ textDocument: { uri: URI }, position: { line, character } });
+
+test('diagnostics report syntax errors and lint warnings with their lines', SESSION, async t => {
+    const { client, diagnostics } = await openDocument(t, '§var[unused; 1]\n§if[$x > 1\n');
+    assert.ok(diagnostics.some(diagnostic => diagnostic.severity === 1 && diagnostic.source === 'elios'));
+    const unused = diagnostics.find(diagnostic => diagnostic.message === 'Unused variable "$unused"');
+    assert.equal(unused.severity, 2);
+    assert.equal(unused.range.start.line, 0);
+    assert.equal(await client.stop(), 0);
+});
+
+test('hover describes built-ins, user functions and variables', SESSION, async t => {
+    const text = '§func[twice; n]\n    §return[$n * 2]\n§endfunc\n§var[total; §twice[4]]\n§log[§upper[$total]]\n';
+    const { client } = await openDocument(t, text);
+
+    const builtin = (await client.request('textDocument/hover', at(4, 7))).result;
+    assert.match(builtin.contents.value, /§upper\[text\]/);
+    const func = (await client.request('textDocument/hover', at(3, 14))).result;
+    assert.match(func.contents.value, /§twice\[n\][\s\S]*Defined at line 1/);
+    const variable = (await client.request('textDocument/hover', at(4, 15))).result;
+    assert.match(variable.contents.value, /Defined at line 4/);
+    await client.stop();
+});
+
+test('completion offers functions after § and variables after $', SESSION, async t => {
+    const { client } = await openDocument(t, '§func[twice; n]\n§endfunc\n§var[total; 1]\n§tw\n$to\n');
+
+    const functions = (await client.request('textDocument/completion', at(3, 3))).result.map(item => item.label);
+    assert.ok(functions.includes('§twice'));
+    assert.ok(functions.includes('§upper'));
+    const variables = (await client.request('textDocument/completion', at(4, 3))).result.map(item => item.label);
+    assert.ok(variables.includes('$total'));
+    await client.stop();
+});
+
+test('definition goes to where a variable is set', SESSION, async t => {
+    const { client } = await openDocument(t, '§log[start]\n§var[total; 1]\n§log[$total]\n');
+    const { result } = await client.request('textDocument/definition', at(2, 7));
+    assert.equal(result.uri, URI);
+    assert.equal(result.range.start.line, 1);
+    await client.stop();
+});
+
+test('formatting indents blocks, and leaves code that does not parse alone', SESSION, async t => {
+    const { client } = await openDocument(t, '§if[1 > 0]\n§log[yes]\n§endif\n');
+    const [edit] = (await client.request('textDocument/formatting', { textDocument: { uri: URI }, options: {} })).result;
+    assert.equal(edit.newText, '§if[1 > 0]\n    §log[yes]\n§endif\n');
+
+    client.notify('textDocument/didChange', {
+        textDocument: { uri: URI, version: 2 },
+        contentChanges: [{ text: '§if[1 > 0]\n§log[yes]\n' }]
+    });
+    await client.notification('textDocument/publishDiagnostics');
+    const { result } = await client.request('textDocument/formatting', { textDocument: { uri: URI }, options: {} });
+    assert.deepEqual(result, []);
+    await client.stop();
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { runElios, makeProject } = require('./helpers');
+const { STDLIB_DIR } = require('../../lib/module-path');
+
+const PROJECT = {
+    'app/main.elios': '§require[util/text]\n§import[util/text; text]\n§log[§shout[hi]]\n',
+    'app/util/text.elios': '§require[punctuation]\n§func[shout; s]\n    §return[§upper[$s]§bang[]]\n§endfunc\n§export[shout]\n',
+    'app/util/punctuation.elios': '§func[bang]\n    §return[!]\n§endfunc\n'
+};
+
+test('§require and §import resolve bare names from the requiring file, whatever the working directory', t => {
+    const dir = makeProject(PROJECT);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const [cwd, file] of [[dir, 'app/main.elios'], [path.join(dir, 'app'), 'main.elios'], [path.join(dir, 'app', 'util'), '../main.elios']]) {
+        const result = runElios([file], { cwd });
+        assert.equal(result.status, 0, result.stderr);
+        assert.match(result.stdout, /^HI!$/m);
+    }
+});
+
+test('a missing required file is a FileNotFoundError naming the file', t => {
+    const dir = makeProject({ 'app/main.elios': '§require[nowhere]\n' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const result = runElios(['app/main.elios'], { cwd: dir });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Uncaught FileNotFoundError: Required file not found: app[\\/]nowhere\.elios/);
+});
+
+test('modules are found in lib/ of the project, ELIOS_PATH and the stdlib', t => {
+    const dir = makeProject({
+        'lib/local.elios': '§var[where; lib]\n§export[where]\n',
+        'shared/remote.elios': '§var[where; ELIOS_PATH]\n§export[where]\n',
+        'main.elios': '§import[local; a]\n§import[remote; b]\n§import[std/strings; s]\n§log[$a.where $b.where §s.repeat[ab; 2]]\n'
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const result = runElios(['main.elios'], { cwd: dir, env: { ELIOS_PATH: path.join(dir, 'shared') } });
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^lib ELIOS_PATH abab$/m);
+});
+
+test('--which prints where a module resolves', t => {
+    const result = runElios(['--which', 'std/math']);
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.trim(), path.join(STDLIB_DIR, 'std', 'math.elios'));
+
+    const missing = runElios(['--which', 'no/such/module']);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Module not found: no\/such\/module/);
+});
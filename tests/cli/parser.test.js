@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Parser } = require('../../lib/parser');
+
+const parse = code => new Parser().parse(code);
+const messages = program => program.errors.map(error => `${error.line}:${error.column} ${error.message}`);
+
+test('calls keep their arguments as written, with nested calls and brackets in strings', () => {
+    const program = parse('§log["a ] b"] # note\n§log[§upper[x]; §len[[1; 2]]]\n');
+    assert.deepEqual(program.errors, []);
+    assert.deepEqual(program.body.map(node => node.args), ['"a ] b"', '§upper[x]; §len[[1; 2]]']);
+});
+
+test('blocks become nodes holding their bodies', () => {
+    const program = parse('§if[$x > 0]\n    §log[a]\n§elseif[$x < 0]\n    §log[b]\n§else\n    §log[c]\n§endif\n');
+    const [node] = program.body;
+    assert.equal(node.type, 'If');
+    assert.deepEqual(node.branches.map(branch => branch.condition), ['$x > 0', '$x < 0']);
+    assert.deepEqual(node.branches.map(branch => branch.body[0].args), ['a', 'b']);
+    assert.equal(node.alternate.body[0].args, 'c');
+});
+
+test('every statement knows its line and column', () => {
+    const program = parse('§var[x; 1]\n§while[$x < 3]\n    §var[x; $x + 1]\n§endwhile\n');
+    const depths = [];
+    Parser.walkCalls(program.body, (call, depth) => depths.push([call.name, call.loc.line, call.loc.column, depth]));
+    assert.deepEqual(depths, [['var', 1, 1, 0], ['while', 2, 1, 0], ['var', 3, 5, 1], ['endwhile', 4, 1, 0]]);
+});
+
+test('all syntax errors are collected with their positions', () => {
+    const program = parse('§while[true]\n§log[x]\n§endfor\n§for[i; 1]\n§endfor\n§log[unclosed\n');
+    assert.deepEqual(messages(program), [
+        '3:1 §endfor without matching §for',
+        '4:1 Invalid §for syntax: expected §for[var; start; end; step?] or §for[var; start..end; step?]',
+        '6:1 Missing closing bracket \']\' for function \'§log\'',
+        '1:1 §while without matching §endwhile'
+    ]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { runElios, makeProject } = require('./helpers');
+
+/**
+ * Type lines into `elios repl` and read the whole session
+ * @param {TestContext} t - The running test, which removes the project afterwards
+ * @param {array} lines - Lines typed at the prompt
+ * @param {Object} files - Files of the project the REPL runs in
+ * @returns {Object} - { status, stdout, stderr }
+ */
+function session(t, lines, files = {}) {
+    const dir = makeProject(files);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return runElios(['repl'], {
+        cwd: dir,
+        input: lines.join('\n') + '\n',
+        env: { ELIOS_HISTORY: path.join(dir, '.elios_history') }
+    });
+}
+
+test('entries share variables and functions, and call results are echoed', t => {
+    const { status, stdout } = session(t, [
+        '§var[x; 3]',
+        '§func[square; n]',
+        '    §return[$n * $n]',
+        '§endfunc',
+        '§square[$x]'
+    ]);
+    assert.equal(status, 0);
+    assert.match(stdout, /→ 9/);
+});
+
+test('an entry that opens a block continues until it is closed', t => {
+    const { stdout } = session(t, ['§for[i; 1..3]', '    §log[line $i]', '§endfor']);
+    assert.match(stdout, /\.\.\. /);
+    assert.match(stdout, /line 1[\s\S]*line 2[\s\S]*line 3/);
+});
+
+test('an empty line ends an incomplete entry with its errors and the session goes on', t => {
+    const { status, stdout, stderr } = session(t, ['§if[1', '', '§log[after]']);
+    assert.equal(status, 0);
+    assert.match(stderr, /Missing closing bracket/);
+    assert.match(stdout, /after/);
+});
+
+test(':vars, :funcs and :load show and extend the session', t => {
+    const { stdout } = session(t, [
+        ':load helpers.elios',
+        ':vars',
+        ':funcs',
+        '§greet[Ada]'
+    ], {
+        'helpers.elios': '§var[greeting; Hello]\n§func[greet; name]\n    §return[$greeting $name]\n§endfunc\n'
+    });
+    assert.match(stdout, /Loaded helpers\.elios/);
+    assert.match(stdout, /\$greeting = Hello/);
+    assert.match(stdout, /§greet\[name\]/);
+    assert.match(stdout, /→ Hello Ada/);
+});
+
+test('§exit ends the session with its code', t => {
+    const { status, stdout } = session(t, ['§exit[5]', '§log[not reached]']);
+    assert.equal(status, 5);
+    assert.doesNotMatch(stdout, /not reached/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { runElios, makeProject } = require('./helpers');
+const EliosFormatter = require('../../tools/format');
+
+const SAMPLE = `§test[passes]
+    §assertEqual[§add[1; 2]; 3]
+§endtest
+
+§test[fails]
+    §log[shown on failure]
+    §assertEqual[1; 2]
+§endtest
+
+§test[exits]
+    §exit[3]
+§endtest
+`;
+
+test('elios test reports each test and exits 1 when one did not pass', t => {
+    const dir = makeProject({ 'sample.test.elios': SAMPLE });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const result = runElios(['test', '.'], { cwd: dir });
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /✓ passes \(line 1/);
+    assert.match(result.stdout, /✗ fails \(line 5/);
+    assert.match(result.stdout, /AssertionError: Expected "2" but got "1"/);
+    assert.match(result.stdout, /shown on failure/);
+    assert.match(result.stdout, /ExitError: §exit\[3\] called in a test/);
+    assert.match(result.stdout, /1 passed, 2 failed/);
+});
+
+test('--tap reports in TAP version 13', t => {
+    const dir = makeProject({ 'sample.test.elios': SAMPLE });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const lines = runElios(['test', '.', '--tap'], { cwd: dir }).stdout.split('\n');
+    assert.equal(lines[0], 'TAP version 13');
+    assert.equal(lines[1], '1..3');
+    assert.ok(lines.includes('ok 1 - sample.test.elios > passes'));
+    assert.ok(lines.includes('not ok 2 - sample.test.elios > fails'));
+    assert.ok(lines.includes('  severity: fail'));
+    assert.ok(lines.includes('  severity: error'));
+    assert.ok(lines.includes('# pass 1'));
+    assert.ok(lines.includes('# fail 2'));
+});
+
+test('--junit counts failed assertions as failures and other problems as errors', t => {
+    const dir = makeProject({ 'sample.test.elios': SAMPLE });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    runElios(['test', '.', '--junit', 'report.xml'], { cwd: dir });
+    const xml = fs.readFileSync(path.join(dir, 'report.xml'), 'utf8');
+    assert.match(xml, /<testsuites name="elios" tests="3" failures="1" errors="1" /);
+    assert.match(xml, /<testsuite name="sample.test.elios" tests="3" failures="1" errors="1" /);
+    assert.match(xml, /<failure message="AssertionError: Expected &quot;2&quot; but got &quot;1&quot;" type="AssertionError">/);
+    assert.match(xml, /<error message="ExitError: §exit\[3\] called in a test" type="ExitError">/);
+    assert.match(xml, /<system-out>shown on failure<\/system-out>/);
+});
+
+test('--filter runs only the matching tests', t => {
+    const dir = makeProject({ 'sample.test.elios': SAMPLE });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const result = runElios(['test', '.', '--filter', 'pass'], { cwd: dir });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /1 passed \(1 test in 1 file/);
+});
+
+test('a run that finds no test files fails', t => {
+    const dir = makeProject({ 'program.elios': '§log[not a test]\n' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const result = runElios(['test', '.'], { cwd: dir });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /No \*\.test\.elios files found/);
+});
+
+test('the formatter indents §test bodies', () => {
+    const code = '§test[sum]\n§if[1]\n§log[yes]\n§endif\n§endtest\n';
+    assert.equal(new EliosFormatter().format(code), '§test[sum]\n    §if[1]\n        §log[yes]\n    §endif\n§endtest\n');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { runElios, startElios, makeProject } = require('./helpers');
+
+/**
+ * @param {TestContext} t - The running test, which removes the project afterwards
+ * @param {string} code - Content of main.elios
+ * @returns {string} - Directory of a new project holding main.elios
+ */
+function programDir(t, code) {
+    const dir = makeProject({ 'main.elios': code });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('a timeout cannot be caught: §catch and §finally do not run', t => {
+    const code = '§try\n    §while[true; max=100000000]\n    §endwhile\n§catch[err]\n    §log[caught]\n§finally\n    §log[finally]\n§endtry\n';
+    const result = runElios(['main.elios', '--timeout', '300'], { cwd: programDir(t, code) });
+    assert.equal(result.status, 124);
+    assert.match(result.stdout + result.stderr, /Timed out after 300ms while executing main\.elios:2/);
+    assert.doesNotMatch(result.stdout, /caught|finally/);
+});
+
+test('waiting for §input counts against the timeout', { timeout: 30000 }, async t => {
+    const child = startElios(['main.elios', '--timeout', '300'], { cwd: programDir(t, '§var[name; §input[name?]]\n§log[got $name]\n') });
+    t.after(() => child.exitCode === null && child.kill());
+
+    // stdin stays open, so only the timeout ends the wait
+    let output = '';
+    child.stdout.on('data', chunk => {
+        output += chunk;
+    });
+    child.stderr.on('data', chunk => {
+        output += chunk;
+    });
+    const status = await new Promise(resolve => child.on('exit', resolve));
+    assert.equal(status, 124);
+    assert.match(output, /Timed out after 300ms waiting for §input/);
+});
+
+test('--max-instructions counts statements across functions and loops', t => {
+    const code = '§func[step]\n    §var[n; $n + 1]\n§endfunc\n§var[n; 0]\n§for[i; 0; 1000]\n    §step[]\n§endfor\n';
+    const dir = programDir(t, code);
+    assert.equal(runElios(['main.elios', '--max-instructions', '100000'], { cwd: dir }).status, 0);
+    const result = runElios(['main.elios', '--max-instructions', '500'], { cwd: dir });
+    assert.equal(result.status, 124);
+    assert.match(result.stdout + result.stderr, /500/);
+});
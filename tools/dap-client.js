@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const { encodeMessage, createMessageReader } = require('../lib/protocol-stream');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Resume commands accepted by --commands
+const RESUME_COMMANDS = ['continue', 'next', 'stepIn', 'stepOut'];
+
+const VALUE_OPTIONS = ['--break', '--commands', '--eval'];
+
+/**
+ * Minimal Debug Adapter Protocol client for `elios --dap`
+ *
+ * Starts the adapter as a child process and exchanges Content-Length framed
+ * messages with it. Used to script debugging sessions from the command line
+ * and to check the adapter without an editor.
+ */
+class DapClient {
+    constructor() {
+        this.child = null;
+        this.seq = 1;
+        this.pending = new Map(); // Request seq → { resolve, reject }
+        this.listeners = new Map(); // Event name → array of callbacks
+    }
+
+    /**
+     * @param {array} args - Extra arguments for the adapter, e.g. ['--timeout', '5000']
+     */
+    start(args = []) {
+        this.child = spawn(process.execPath, [CLI, '--dap', ...args], { stdio: ['pipe', 'pipe', 'inherit'] });
+        this.child.stdout.on('data', createMessageReader(message => this.handle(message)));
+        this.exited = new Promise(resolve => this.child.on('exit', resolve));
+    }
+
+    handle(message) {
+        if (message.type === 'response') {
+            const pending = this.pending.get(message.request_seq);
+            if (!pending) return;
+            this.pending.delete(message.request_seq);
+            if (message.success) {
+                pending.resolve(message.body || {});
+            } else {
+                pending.reject(new Error(`${message.command}: ${message.message}`));
+            }
+        } else if (message.type === 'event') {
+            (this.listeners.get(message.event) || []).forEach(listener => listener(message.body || {}));
+        }
+    }
+
+    /**
+     * @param {string} command - DAP request name
+     * @param {Object} args - Request arguments
+     * @returns {Promise<Object>} - Response body
+     */
+    request(command, args = {}) {
+        const seq = this.seq++;
+        this.child.stdin.write(encodeMessage({ seq, type: 'request', command, arguments: args }));
+        return new Promise((resolve, reject) => this.pending.set(seq, { resolve, reject }));
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+    }
+
+    /**
+     * @param {string} event - Event name
+     * @returns {Promise<Object>} - Body of the next such event
+     */
+    once(event) {
+        return new Promise(resolve => {
+            const listener = body => {
+                this.listeners.set(event, this.listeners.get(event).filter(other => other !== listener));
+                resolve(body);
+            };
+            this.on(event, listener);
+        });
+    }
+}
+
+/**
+ * Print the stack, the innermost scope's variables and the requested evaluations
+ * @param {DapClient} client
+ * @param {Object} stopped - Body of the 'stopped' event
+ * @param {array} expressions - From --eval
+ */
+async function showStop(client, stopped, expressions) {
+    const { stackFrames } = await client.request('stackTrace', { threadId: stopped.threadId });
+    const top = stackFrames[0];
+    console.log(chalk.yellow(`Stopped (${stopped.reason}) at ${top ? `${top.source.name}:${top.line}` : 'unknown location'}`));
+    stackFrames.forEach(frame => console.log(chalk.gray(`  at ${frame.name} (${frame.source.name}:${frame.line}:${frame.column})`)));
+    if (!top) return;
+
+    const { scopes } = await client.request('scopes', { frameId: top.id });
+    for (const scope of scopes) {
+        const { variables } = await client.request('variables', { variablesReference: scope.variablesReference });
+        if (variables.length === 0) continue;
+        console.log(chalk.cyan(`  ${scope.name}`));
+        variables.forEach(variable => console.log(`    ${chalk.yellow(variable.name)} = ${chalk.green(variable.value)}`));
+    }
+
+    for (const expression of expressions) {
+        try {
+            const { result } = await client.request('evaluate', { expression, frameId: top.id, context: 'repl' });
+            console.log(`  ${chalk.blue(expression)} → ${chalk.green(result)}`);
+        } catch (error) {
+            console.error(chalk.red(`  ${error.message}`));
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+        console.log(chalk.cyan(`
+🐞 Elios DAP Client
+
+${chalk.bold('Usage:')}
+  ${chalk.green('node tools/dap-client.js')} ${chalk.yellow('<file>')} ${chalk.blue('[options]')}
+
+${chalk.bold('Options:')}
+  ${chalk.green('--break <line>')}      ${chalk.white('Breakpoint in <file> (repeatable)')}
+  ${chalk.green('--stop-on-entry')}     ${chalk.white('Pause before the first statement')}
+  ${chalk.green('--commands <list>')}   ${chalk.white('Comma-separated continue, next, stepIn, stepOut used at each stop (default: continue)')}
+  ${chalk.green('--eval <expr>')}       ${chalk.white('Evaluate at each stop (repeatable)')}
+  ${chalk.green('-h, --help')}          ${chalk.white('Show this help message')}
+
+${chalk.bold('Examples:')}
+  ${chalk.blue('node tools/dap-client.js program.elios --break 7')}
+  ${chalk.blue('node tools/dap-client.js program.elios --stop-on-entry --commands next,stepIn,continue --eval $total')}
+
+Exits with the exit code the program reported.
+        `));
+        process.exit(0);
+    }
+
+    const valueOf = option => args.filter((arg, index) => args[index - 1] === option);
+    const fileArg = args.find((arg, index) => !arg.startsWith('-') && !VALUE_OPTIONS.includes(args[index - 1]));
+    if (!fileArg) {
+        console.error(chalk.red('❌ Error: No file specified'));
+        process.exit(64);
+    }
+
+    const program = path.resolve(fileArg);
+    const breakpoints = valueOf('--break').map(line => ({ line: parseInt(line, 10) }));
+    const commands = valueOf('--commands').join(',').split(',').filter(Boolean);
+    const expressions = valueOf('--eval');
+
+    const unknown = commands.find(command => !RESUME_COMMANDS.includes(command));
+    if (unknown) {
+        console.error(chalk.red(`❌ Error: Unknown command '${unknown}', expected one of ${RESUME_COMMANDS.join(', ')}`));
+        process.exit(64);
+    }
+
+    const client = new DapClient();
+    client.start();
+
+    let exitCode = 0;
+    client.on('output', ({ category, output }) => {
+        (category === 'stderr' ? process.stderr : process.stdout).write(chalk.gray(output));
+    });
+    client.on('exited', body => {
+        exitCode = body.exitCode;
+    });
+
+    // Stops are handled one at a time, in the order they arrive
+    let stops = Promise.resolve();
+    client.on('stopped', stopped => {
+        stops = stops.then(async () => {
+            await showStop(client, stopped, expressions);
+            const command = commands.shift() || 'continue';
+            console.log(chalk.gray(`  → ${command}`));
+            await client.request(command, { threadId: stopped.threadId });
+        }).catch(error => console.error(chalk.red(`❌ Error: ${error.message}`)));
+    });
+
+    try {
+        const initialized = client.once('initialized');
+        await client.request('initialize', { adapterID: 'elios', linesStartAt1: true, columnsStartAt1: true });
+        await initialized;
+        await client.request('launch', { program, stopOnEntry: args.includes('--stop-on-entry') });
+        await client.request('setBreakpoints', { source: { path: program }, breakpoints });
+        const terminated = client.once('terminated');
+        await client.request('configurationDone');
+        await terminated;
+        await stops;
+        await client.request('disconnect');
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        exitCode = 1;
+    }
+
+    await client.exited;
+    process.exit(exitCode);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = DapClient;
@@ -3,57 +3,107 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { Parser } = require('../lib/parser');
+const Tokenizer = require('../lib/tokenizer');
 
 /**
  * Auto-format Elios code
- * - Proper indentation
+ * - Proper indentation (from the parsed block structure)
  * - Spacing consistency
  * - Line breaks
  */
 class EliosFormatter {
     constructor() {
-        this.indentLevel = 0;
         this.indentSize = 4;
     }
 
     format(code) {
+        const program = new Parser().parse(code);
         const lines = code.split('\n');
-        const formattedLines = [];
-        let inMultilineString = false;
 
-        for (const line of lines) {
+        // Indentation of each line that starts a call, and of the lines after it
+        const lineDepths = new Map();
+        // Lines that continue a call's arguments, indented by their bracket depth
+        const continuationLines = new Map();
+        const { bracketDepths, stringLines } = this.scanLines(code);
+
+        Parser.walkCalls(program.body, (call, depth) => {
+            const info = lineDepths.get(call.loc.line) || { depth };
+            info.next = this.opensBlock(call) ? depth + 1 : depth;
+            lineDepths.set(call.loc.line, info);
+
+            for (let line = call.loc.line + 1; line <= call.loc.endLine; line++) {
+                continuationLines.set(line, depth);
+            }
+        });
+
+        let currentDepth = 0;
+
+        return lines.map((line, index) => {
+            const lineNum = index + 1;
             const trimmed = line.trim();
 
-            // Skip empty lines and comments initially
-            if (!trimmed || trimmed.startsWith('#')) {
-                formattedLines.push(trimmed);
-                continue;
+            // The inside of a multi-line string is part of its value
+            if (stringLines.has(lineNum)) {
+                return line;
             }
 
-            // Decrease indent for closing tags
-            if (this.isClosingTag(trimmed)) {
-                this.indentLevel = Math.max(0, this.indentLevel - 1);
+            if (continuationLines.has(lineNum)) {
+                // One level per open bracket; a line starting with ']' lines up with its opening line
+                const closing = trimmed.startsWith(']') ? 1 : 0;
+                const depth = continuationLines.get(lineNum) + bracketDepths.get(lineNum) - closing;
+                return ' '.repeat(Math.max(depth, 0) * this.indentSize) + trimmed;
             }
 
-            // Add indented line
-            const indented = ' '.repeat(this.indentLevel * this.indentSize) + trimmed;
-            formattedLines.push(indented);
+            if (!trimmed) {
+                return '';
+            }
 
-            // Increase indent for opening tags
-            if (this.isOpeningTag(trimmed)) {
-                this.indentLevel++;
+            // Comments and stray lines follow the indentation of the enclosing block
+            let depth = currentDepth;
+            const info = lineDepths.get(lineNum);
+            if (info) {
+                depth = info.depth;
+                currentDepth = info.next;
             }
-        }
 
-        return formattedLines.join('\n');
+            return ' '.repeat(depth * this.indentSize) + trimmed;
+        }).join('\n');
     }
 
-    isOpeningTag(line) {
-        return /§(if|while|for)\[/.test(line);
+    /**
+     * Bracket depth at the start of each line, and the lines inside multi-line strings
+     * @param {string} code - Elios code
+     * @returns {Object} - { bracketDepths: Map of line → depth, stringLines: Set of lines }
+     */
+    scanLines(code) {
+        const bracketDepths = new Map();
+        const stringLines = new Set();
+        let depth = 0;
+        let line = 1;
+
+        bracketDepths.set(1, 0);
+        for (const token of new Tokenizer().tokenize(code)) {
+            while (line < token.line) {
+                bracketDepths.set(++line, depth);
+            }
+
+            if (token.type === 'LBRACKET') depth++;
+            if (token.type === 'RBRACKET') depth = Math.max(depth - 1, 0);
+
+            if (token.type === 'STRING') {
+                const lastLine = token.line + (code.slice(token.start, token.end).match(/\n/g) || []).length;
+                for (let inner = token.line + 1; inner <= lastLine; inner++) {
+                    stringLines.add(inner);
+                }
+            }
+        }
+
+        return { bracketDepths, stringLines };
     }
 
-    isClosingTag(line) {
-        return /§end(if|while|for)/.test(line);
+    opensBlock(call) {
+        return ['if', 'elseif', 'else', 'while', 'for', 'foreach', 'func', 'try', 'catch', 'finally', 'switch', 'case', 'default', 'test'].includes(call.name);
     }
 }
 
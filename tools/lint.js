@@ -3,6 +3,12 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { Parser } = require('../lib/parser');
+const { splitArgs } = require('../lib/utils');
+const { FUNCTION_DOCS } = require('../lib/function-docs');
+
+// Built-ins that are fine with empty brackets
+const NO_ARGUMENTS = ['clear', 'return', 'list', 'map', 'scopes', 'breakpoint', 'testOutput', 'time', 'date', 'input', 'exit', 'sleep'];
 
 /**
  * Advanced linting for Elios code
@@ -16,6 +22,7 @@ class EliosLinter {
         this.warnings = [];
         this.variables = new Map();
         this.usedVariables = new Set();
+        this.functions = new Map(); // §func name → parameter names
     }
 
     lint(code) {
@@ -23,17 +30,27 @@ class EliosLinter {
         this.warnings = [];
         this.variables = new Map();
         this.usedVariables = new Set();
+        this.functions = new Map();
 
-        const lines = code.split('\n');
+        const program = new Parser().parse(code);
+        const calls = [];
+        Parser.walkCalls(program.body, call => calls.push(call));
 
         // First pass: collect variable definitions
-        lines.forEach((line, idx) => {
-            this.collectVariables(line, idx + 1);
+        calls.forEach(call => {
+            this.collectVariables(call);
         });
 
         // Second pass: check usage
-        lines.forEach((line, idx) => {
-            this.checkLine(line, idx + 1);
+        calls.forEach(call => {
+            this.checkCall(call);
+        });
+
+        // Line-level checks
+        code.split('\n').forEach((line, idx) => {
+            if (!line.trim().startsWith('#')) {
+                this.checkCommonMistakes(line, idx + 1);
+            }
         });
 
         // Third pass: find unused variables
@@ -46,17 +63,59 @@ class EliosLinter {
         };
     }
 
-    collectVariables(line, lineNum) {
-        const varMatch = line.match(/§var\[([^;]+);/);
-        if (varMatch) {
-            const varName = varMatch[1].trim();
-            this.variables.set(varName, { line: lineNum, used: false });
+    collectVariables(call) {
+        const lineNum = call.loc.line;
+        const parts = splitArgs(call.args).map(part => part.trim());
+
+        if ((call.name === 'var' || call.name === 'local') && parts.length >= 2) {
+            this.variables.set(parts[0], { line: lineNum, used: false });
+        }
+
+        // Loop variables and function parameters are defined by their block header
+        if (call.name === 'for' && parts[0]) {
+            this.variables.set(parts[0], { line: lineNum, used: false });
+        }
+
+        if (call.name === 'foreach') {
+            parts.slice(0, -1).filter(Boolean).forEach(name => {
+                this.variables.set(name, { line: lineNum, used: false });
+            });
+        }
+
+        if (call.name === 'catch' && parts[0]) {
+            this.variables.set(parts[0], { line: lineNum, used: false });
+        }
+
+        if (call.name === 'import' && parts[0]) {
+            const alias = parts[1] || path.basename(parts[0], '.elios');
+            this.variables.set(alias, { line: lineNum, used: false });
+        }
+
+        if (call.name === 'func' && parts[0]) {
+            this.functions.set(parts[0], parts.slice(1).filter(Boolean));
+            parts.slice(1).filter(Boolean).forEach(param => {
+                this.variables.set(param, { line: lineNum, used: false });
+            });
         }
     }
 
-    checkLine(line, lineNum) {
+    checkCall(call) {
+        const lineNum = call.loc.line;
+
+        // §export[name] and §alias.name[...] count as uses, also when the call is nested in the arguments
+        const names = call.name === 'export'
+            ? splitArgs(call.args).map(name => name.trim().replace(/^\$/, ''))
+            : [call.name.split('.')[0]];
+        for (const match of call.args.matchAll(/§(\w+)\.\w+\[/g)) {
+            names.push(match[1]);
+        }
+        names.filter(name => this.variables.has(name)).forEach(name => {
+            this.variables.get(name).used = true;
+            this.usedVariables.add(name);
+        });
+
         // Check for undefined variables
-        const varUsageMatch = line.match(/\$([A-Za-z_][A-Za-z0-9_]*)/g);
+        const varUsageMatch = call.args.match(/\$([A-Za-z_][A-Za-z0-9_]*)/g);
         if (varUsageMatch) {
             varUsageMatch.forEach(match => {
                 const varName = match.substring(1); // Remove $
@@ -71,16 +130,18 @@ class EliosLinter {
                 }
             });
         }
-
-        // Check for common mistakes
-        this.checkCommonMistakes(line, lineNum);
     }
 
     checkCommonMistakes(line, lineNum) {
-        // Missing arguments check
-        if (/§\w+\[\s*\]/.test(line)) {
-            const funcName = line.match(/§(\w+)\[\s*\]/)?.[1];
-            if (funcName && !['clear', 'endfor', 'endif', 'endwhile'].includes(funcName)) {
+        // Missing arguments check: user functions are compared with their parameters; functions
+        // defined elsewhere (required files, plugins) are unknown here and left alone
+        for (const [, funcName] of line.matchAll(/§(\w+)\[\s*\]/g)) {
+            const params = this.functions.get(funcName);
+            if (params) {
+                if (params.length > 0) {
+                    this.warnings.push(`Line ${lineNum}: "${funcName}" expects ${params.length} argument(s): ${params.join(', ')}`);
+                }
+            } else if (FUNCTION_DOCS[funcName] && !NO_ARGUMENTS.includes(funcName)) {
                 this.warnings.push(`Line ${lineNum}: "${funcName}" may require arguments`);
             }
         }